@@ -6,31 +6,88 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { Sky } from 'three/addons/objects/Sky.js'; 
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
 import * as CANNON from 'cannon-es';
+import { createRNG, mixSeed, parseSeed } from './src/random.js';
+import { createChunkManager, chunkKey } from './src/chunks.js';
+import { createSpatialHash } from './src/spatial.js';
+import { createRoadNetwork } from './src/roads.js';
+import { findRoute } from './src/gps.js';
+import { loadVehicleDefinitions } from './src/vehicles.js';
+import { TRACKS, buildRoute, createLapTracker, createBestLaps, formatRaceTime } from './src/race.js';
+import { parseTimeOfDay, lightingAt } from './src/daynight.js';
+import { createWeather } from './src/weather.js';
+import { createTraffic } from './src/traffic.js';
+import { createPedestrians } from './src/pedestrians.js';
+import { createRecorder, packReplay, unpackReplay, sampleReplay, createGhostStore } from './src/replay.js';
+import { createDamageModel, MAX_DAMAGE } from './src/damage.js';
+import { createStuntScorer, STUNT_NAMES } from './src/stunts.js';
+import { createSimulation, createFloor, followFloor } from './src/simulation.js';
+import { createCar, wornHandling } from './src/car.js';
+import { COIN_HEIGHT } from './src/coins.js';
+import { createAudio, VOLUME_CHANNELS } from './src/audio.js';
+import { createInput, P2_KEY_BINDINGS } from './src/input.js';
+import { createSettings, keyLabel, isReservedKey, CONTROL_NAMES, SETTING_RANGES, SHADOW_QUALITY, MINIMAP_SIZES } from './src/settings.js';
+import { createGarage, defaultCustomization, applyTuning, clampTuning, tuningPointsLeft, TUNING_KEYS, TUNING_STEP_SIZE } from './src/garage.js';
 
 // ==========================================
 // 1. GAME CONFIGURATION & STATE
 // ==========================================
 const config = {
     worldSize: 4000,
-    fogColor: 0x87CEEB,
     gravity: -9.82,
-    physicsSteps: 10
+    physicsSteps: 10,
+    chunkSize: 200,     // World units per streamed city tile
+    chunkRadius: 3,     // Tiles kept loaded in each direction around the car
+    chunksPerFrame: 2,  // Max tiles generated per frame while driving
+    roadSpacing: 120,   // Average distance between parallel streets
+    lotSize: 40,        // Target size of one building lot inside a block
+    fixedTimeStep: 1 / 60, // Simulation step (seconds), independent of display refresh rate
+    maxFrameTime: 0.25, // Longest frame we try to catch up on
+    throttleRate: 4,    // Throttle travel per second (0 -> full in 0.25s)
+    steerRate: 5,       // Full steering locks per second
+    coinSpin: 3,        // Coin rotation (radians per second)
+    timeAttackSeconds: 60,
+    raceLaps: 3,
+    ghostRate: 10,      // Replay samples per second
+    ghostOpacity: 0.35,
+    trafficMax: 16,     // Cap on active AI cars
+    trafficDensity: 0.3, // AI cars per road segment near the player
+    trafficSpawnRadius: 250,
+    trafficDespawnRadius: 350,
+    pedestrianMax: 30,  // Cap on pedestrians walking around
+    pedestrianDensity: 3, // Pedestrians per city block near the player
+    pedestrianSpawnRadius: 150,
+    pedestrianDespawnRadius: 220,
+    dayLength: 600,     // Real seconds per 24-hour day
+    startHour: 14,      // Time of day when the page loads (?time=21:30 pins it instead)
+    weatherChangeInterval: 120, // Seconds between changes when the weather is dynamic
+    rainDrops: 8000,
+    crashTimePenalty: 3,  // Time Attack seconds lost on a heavy crash
+    repairTimePenalty: 5, // Seconds lost (Time Attack) or added (race) when R repairs damage
+    debrisLifetime: 8,    // Seconds a detached part lies around
+    gpsRefresh: 0.5,      // Seconds between route updates while a waypoint is set
+    gpsArrival: 15,       // Metres from the waypoint that count as arrived
+    mapZoom: [0.2, 6],    // City map scale limits (pixels per metre)
+    playerTwoColor: 0x2266ff // Split-screen: player two drives player one's car in this paint
 };
 
-const keys = { w: false, a: false, s: false, d: false, r: false, c: false, v: false, ' ': false };
-let gameActive = true;
-let timeLeft = 60; 
-let score = 0;
-let highScore = localStorage.getItem('gtaHighScore') || 0;
+const settings = createSettings(); // Key bindings and graphics options, changed from the settings menu
+
+let splitScreen = false; // Two players side by side (chosen on the start menu, see section 15)
+let gameState = 'menu'; // 'menu' | 'playing' | 'paused' | 'map' | 'gameOver' (changed only by setGameState)
+
+// World Seed (shareable via ?seed=1234)
+const urlParams = new URLSearchParams(window.location.search);
+const worldSeed = parseSeed(urlParams.get('seed')) ?? Math.floor(Math.random() * 4294967296);
+if (urlParams.get('seed') === null) {
+    urlParams.set('seed', worldSeed);
+    history.replaceState(null, '', '?' + urlParams.toString());
+}
 
 // Vehicle State
-let carAngle = 0; 
-let currentSpeed = 0; 
 let cameraMode = 0; 
 let currentCarIndex = 0;
-let cKeyPressed = false; 
-let vKeyPressed = false;
 
 // DOM Elements
 const speedometer = document.getElementById('speedometer');
@@ -39,12 +96,18 @@ const timerEl = document.getElementById('timer');
 const gameOverEl = document.getElementById('game-over');
 const finalScoreEl = document.getElementById('final-score');
 const loadingScreen = document.getElementById('loading');
+const seedEl = document.getElementById('seed');
+if (seedEl) seedEl.innerText = "SEED: " + worldSeed;
+
+// Time of Day (hours, 0-24). ?time=HH:MM freezes the clock at that time.
+const pinnedHour = parseTimeOfDay(urlParams.get('time'));
+let timeOfDay = pinnedHour ?? config.startHour;
 
 // ==========================================
 // 2. SCENE & RENDERER SETUP
 // ==========================================
 const scene = new THREE.Scene();
-scene.fog = new THREE.Fog(config.fogColor, 200, 1000); 
+scene.fog = new THREE.Fog(0x87CEEB, 200, 1000); // Colour follows the time of day
 
 const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1500); 
 const renderer = new THREE.WebGLRenderer({ antialias: true });
@@ -60,6 +123,24 @@ const mapSize = 150;
 const mapCamera = new THREE.OrthographicCamera(-mapSize, mapSize, mapSize, -mapSize, 1, 1000);
 mapCamera.position.set(0, 200, 0); 
 mapCamera.lookAt(0, 0, 0); 
+const minimapBorders = [document.getElementById('minimap-border'), document.getElementById('p2-minimap-border')];
+
+// On-screen minimap size in CSS pixels, kept small on very narrow screens
+function minimapSize() {
+    const size = MINIMAP_SIZES[settings.values.minimap];
+    return window.innerWidth < 400 ? Math.min(size, 160) : size;
+}
+
+// FOV, resolution and minimap follow both the window and the settings menu
+// (split-screen gives each player half the width)
+function applyViewSettings() {
+    camera.aspect = window.innerWidth / (splitScreen ? 2 : 1) / window.innerHeight;
+    camera.fov = settings.values.fov + (camera.aspect < 1 ? 25 : 0); // Wider FOV for portrait mobile
+    camera.updateProjectionMatrix();
+    renderer.setPixelRatio(settings.values.renderScale);
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    minimapBorders.forEach(border => { border.style.width = border.style.height = minimapSize() + 'px'; });
+}
 
 // ==========================================
 // 3. LIGHTING & ENVIRONMENT
@@ -73,21 +154,9 @@ const sunPosition = new THREE.Vector3();
 const sunLight = new THREE.DirectionalLight(0xffffff, 1.5); 
 const hemiLight = new THREE.HemisphereLight(0xffffff, 0x444444, 0.8); 
 
-// Configure Sun Position (Static Afternoon)
-const elevation = 70; 
-const azimuth = 180; 
-const phi = THREE.MathUtils.degToRad(90 - elevation);
-const theta = THREE.MathUtils.degToRad(azimuth);
-sunPosition.setFromSphericalCoords(1, phi, theta);
-
-sky.material.uniforms['sunPosition'].value.copy(sunPosition);
 sky.material.uniforms['turbidity'].value = 10;
 sky.material.uniforms['rayleigh'].value = 3;
 
-sunLight.position.copy(sunPosition); 
-sunLight.castShadow = true;
-sunLight.shadow.mapSize.width = 2048; 
-sunLight.shadow.mapSize.height = 2048;
 sunLight.shadow.camera.left = -500;
 sunLight.shadow.camera.right = 500;
 sunLight.shadow.camera.top = 500;
@@ -96,12 +165,81 @@ sunLight.shadow.camera.bottom = -500;
 scene.add(sky);
 scene.add(hemiLight);
 scene.add(sunLight);
+scene.add(sunLight.target); // Moved with the car so shadows follow it across chunks
+
+function applyShadowQuality() {
+    const size = SHADOW_QUALITY[settings.values.shadows];
+    sunLight.castShadow = size > 0;
+    if (size && sunLight.shadow.mapSize.x !== size) {
+        sunLight.shadow.mapSize.set(size, size);
+        if (sunLight.shadow.map) { // Re-created at the new size on the next render
+            sunLight.shadow.map.dispose();
+            sunLight.shadow.map = null;
+        }
+    }
+}
+applyShadowQuality();
+
+// Sky, sun / moon, ambient and fog for an hour of the day; returns the lighting preset
+function applyTimeOfDay(hour) {
+    const light = lightingAt(hour);
+    const phi = THREE.MathUtils.degToRad(90 - light.elevation);
+    const theta = THREE.MathUtils.degToRad(light.azimuth);
+    sunPosition.setFromSphericalCoords(1, phi, theta);
+    sky.material.uniforms['sunPosition'].value.copy(sunPosition);
+    if (light.elevation < 0) sunPosition.negate(); // Moonlight comes from the other side of the sky
+
+    sunLight.intensity = light.keyIntensity;
+    sunLight.color.setHex(light.keyColor);
+    hemiLight.intensity = light.hemiIntensity;
+    hemiLight.color.setHex(light.skyColor);
+    hemiLight.groundColor.setHex(light.groundColor);
+    scene.fog.color.setHex(light.fogColor);
+    buildingMaterial.emissiveIntensity = light.night; // Windows light up after dark
+    return light;
+}
+
+// Procedural Grass Texture (tileable: patches wrap around the edges, speckle is per pixel)
+function createGrassTexture() {
+    const size = 256;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    const rng = createRNG(7); // Same grass every load
+
+    ctx.fillStyle = '#3d6b2a';
+    ctx.fillRect(0, 0, size, size);
+    // Lighter and darker patches, each drawn at every wrapped offset
+    for (let i = 0; i < 40; i++) {
+        const x = rng() * size;
+        const y = rng() * size;
+        const r = rng.range(15, 45);
+        ctx.fillStyle = rng() < 0.5 ? 'rgba(95, 140, 60, 0.25)' : 'rgba(35, 65, 20, 0.25)';
+        for (let ox = -size; ox <= size; ox += size) {
+            for (let oy = -size; oy <= size; oy += size) {
+                ctx.beginPath();
+                ctx.arc(x + ox, y + oy, r, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+    }
+    // Blades
+    const image = ctx.getImageData(0, 0, size, size);
+    for (let i = 0; i < image.data.length; i += 4) {
+        const n = (rng() - 0.5) * 40;
+        image.data[i] += n * 0.7;
+        image.data[i + 1] += n;
+        image.data[i + 2] += n * 0.4;
+    }
+    ctx.putImageData(image, 0, 0);
 
-// Textures
-const textureLoader = new THREE.TextureLoader();
-const grassTexture = textureLoader.load('https://raw.githubusercontent.com/mrdoob/three.js/master/examples/textures/terrain/grasslight-big.jpg');
-grassTexture.wrapS = THREE.RepeatWrapping;
-grassTexture.wrapT = THREE.RepeatWrapping;
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    return texture;
+}
+const grassTexture = createGrassTexture();
 grassTexture.repeat.set(400, 400); 
 
 // Procedural Building Texture Generator
@@ -129,74 +267,304 @@ function createBuildingTexture() {
 }
 const cityTexture = createBuildingTexture();
 
+// Night-time glow for the windows: an 8x8 patch of building-texture tiles with
+// about a third of the windows lit. Buildings offset it by whole tiles, so the
+// lit windows still line up with the painted ones but differ per building.
+const WINDOW_TILES = 8;
+function createWindowGlowTexture() {
+    const tile = 32;
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = tile * WINDOW_TILES;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const rng = createRNG(0x9e3779b9);
+    const warmth = ['#ffd27a', '#ffe6a8', '#fff4d6', '#ffc060'];
+    for (let tx = 0; tx < WINDOW_TILES; tx++) {
+        for (let ty = 0; ty < WINDOW_TILES; ty++) {
+            [2.5, 18.5].forEach(wx => { // Same window rects as createBuildingTexture, at 1/4 scale
+                if (rng() > 0.35) return;
+                ctx.fillStyle = warmth[rng.int(0, warmth.length - 1)];
+                ctx.fillRect(tx * tile + wx, ty * tile + 2.5, 11, 27);
+            });
+        }
+    }
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    return texture;
+}
+const windowGlowTexture = createWindowGlowTexture();
+windowGlowTexture.channel = 1; // Read through uv1, which carries each building's glow offset
+
+// One material for every building; per-building texture scale, glow offset
+// and tint live in the vertices (see createBuilding)
+const buildingMaterial = new THREE.MeshStandardMaterial({
+    map: cityTexture, vertexColors: true, roughness: 0.3, metalness: 0.1,
+    emissive: 0xffffff, emissiveMap: windowGlowTexture, emissiveIntensity: 0
+});
+applyTimeOfDay(timeOfDay);
+
+// Weather (clear / rain / fog; src/weather.js decides, this applies it)
+const weather = createWeather({ seed: mixSeed(worldSeed, 0x3ea7e, 0), changeInterval: config.weatherChangeInterval });
+let weatherParams = weather.params();
+let rainTime = 0;
+
+// Rain: one point per drop, animated entirely in the vertex shader. Drops live
+// in a box that wraps around the car, so the CPU never touches them after setup.
+const RAIN_AREA = 120;
+const RAIN_HEIGHT = 60;
+const RAIN_SPEED = 25;
+const rainGeo = new THREE.BufferGeometry();
+const rainPositions = new Float32Array(config.rainDrops * 3);
+for (let i = 0; i < rainPositions.length; i += 3) {
+    rainPositions[i] = Math.random() * RAIN_AREA;
+    rainPositions[i + 1] = Math.random() * RAIN_HEIGHT;
+    rainPositions[i + 2] = Math.random() * RAIN_AREA;
+}
+rainGeo.setAttribute('position', new THREE.BufferAttribute(rainPositions, 3));
+const rainMat = new THREE.ShaderMaterial({
+    uniforms: {
+        uTime: { value: 0 },
+        uCenter: { value: new THREE.Vector3() },
+        uOpacity: { value: 0 },
+        uColor: { value: new THREE.Color(0xaabbcc) }
+    },
+    vertexShader: `
+        uniform float uTime;
+        uniform vec3 uCenter;
+        const float AREA = ${RAIN_AREA.toFixed(1)};
+        const float HEIGHT = ${RAIN_HEIGHT.toFixed(1)};
+        const float SPEED = ${RAIN_SPEED.toFixed(1)};
+        void main() {
+            vec3 p = position;
+            p.y = uCenter.y - HEIGHT * 0.3 + mod(p.y - uTime * SPEED, HEIGHT);
+            p.xz = uCenter.xz + mod(p.xz - uCenter.xz, AREA) - AREA * 0.5;
+            vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+            gl_PointSize = clamp(300.0 / -mvPosition.z, 1.0, 24.0);
+            gl_Position = projectionMatrix * mvPosition;
+        }`,
+    fragmentShader: `
+        uniform float uOpacity;
+        uniform vec3 uColor;
+        void main() {
+            float streak = 1.0 - smoothstep(0.0, 0.08, abs(gl_PointCoord.x - 0.5)); // Thin vertical line
+            if (streak <= 0.0) discard;
+            gl_FragColor = vec4(uColor, streak * uOpacity);
+        }`,
+    transparent: true,
+    depthWrite: false
+});
+const rain = new THREE.Points(rainGeo, rainMat);
+rain.frustumCulled = false;
+rain.layers.set(1); // Main camera only; rain on the minimap is just noise
+camera.layers.enable(1);
+scene.add(rain);
+
+const overcastColor = new THREE.Color();
+
+// Applied on top of applyTimeOfDay every frame: overcast light, fog, rain and wet roads
+function applyWeather(params, x, y, z) {
+    sunLight.intensity *= 1 - params.cloud * 0.7;
+    hemiLight.intensity *= 1 - params.cloud * 0.3;
+    sky.material.uniforms['turbidity'].value = 10 + params.cloud * 10;
+
+    // Fog fades toward a grey as bright as the time-of-day fog
+    const fog = scene.fog.color;
+    scene.fog.color.lerp(overcastColor.setScalar((fog.r + fog.g + fog.b) / 3), params.cloud);
+    scene.fog.near = params.fogNear;
+    scene.fog.far = params.fogFar;
+
+    rain.visible = params.rain > 0.01;
+    rainGeo.setDrawRange(0, Math.round(config.rainDrops * params.rain));
+    rainMat.uniforms.uOpacity.value = 0.35 + params.rain * 0.25;
+    rainMat.uniforms.uTime.value = rainTime;
+    rainMat.uniforms.uCenter.value.set(x, y, z);
+
+    // Wet tarmac: darker and glossier, so lights streak across it
+    roadMat.roughness = 0.9 - params.wetness * 0.65;
+    roadMat.metalness = params.wetness * 0.3;
+    roadMat.color.copy(dryRoadColor).multiplyScalar(1 - params.wetness * 0.5); // Linear colour: half as bright is about #171717 in sRGB
+}
+
 // ==========================================
 // 4. PHYSICS WORLD
 // ==========================================
-const world = new CANNON.World({ gravity: new CANNON.Vec3(0, config.gravity, 0) });
-world.solver.iterations = config.physicsSteps; 
-
-const physicsMaterials = {
-    ground: new CANNON.Material(),
-    box: new CANNON.Material()
-};
-
-const boxGroundContact = new CANNON.ContactMaterial(physicsMaterials.ground, physicsMaterials.box, {
-    friction: 0.05, 
-    restitution: 0.0 
+// The rules run headless in src/simulation.js: physics world, player car, coins,
+// score and the Time Attack clock. This file draws, sounds and feeds them.
+const maxCoins = 2 * 5 * (2 * config.chunkRadius + 3) ** 2; // 5 per tile, including the tiles waiting to unload, around up to two players
+const sim = createSimulation({
+    CANNON,
+    controls: () => input.read(),
+    clock: () => performance.now() / 1000,
+    storage: localStorage,
+    isDriving: () => gameState === 'playing' && !garageOpen, // Game over / garage: roll to a stop
+    surface: () => weatherParams, // Wet roads: less grip, same pedal for a longer stop
+    handling: (car) => wornHandling(car.handling, damage.effects()),
+    beforeStep,
+    afterStep,
+    gravity: config.gravity,
+    solverIterations: config.physicsSteps,
+    fixedTimeStep: config.fixedTimeStep,
+    maxFrameTime: config.maxFrameTime,
+    floorSize: config.worldSize,
+    floorTile: config.worldSize / 400,
+    throttleRate: config.throttleRate,
+    steerRate: config.steerRate,
+    timeAttackSeconds: config.timeAttackSeconds,
+    maxCoins
 });
-world.addContactMaterial(boxGroundContact);
+const { world, materials: physicsMaterials, session } = sim;
 
 // ==========================================
 // 5. WORLD GENERATION
 // ==========================================
-// Floor
+// Floor (follows the ground slab, which src/simulation.js keeps under the car)
 const floorGeo = new THREE.PlaneGeometry(config.worldSize, config.worldSize);
 const floorMat = new THREE.MeshStandardMaterial({ map: grassTexture, roughness: 0.8 });
 const floorMesh = new THREE.Mesh(floorGeo, floorMat);
 floorMesh.rotation.x = -Math.PI / 2;
 floorMesh.receiveShadow = true;
 scene.add(floorMesh);
+const floorBody = sim.floor;
 
-const floorBody = new CANNON.Body({
-    type: CANNON.Body.STATIC,
-    shape: new CANNON.Box(new CANNON.Vec3(config.worldSize/2, 5, config.worldSize/2)), 
-    material: physicsMaterials.ground
-});
-floorBody.position.set(0, -5, 0); 
-world.addBody(floorBody);
+// Road Network (street grid data shared with coins, minimap and traffic)
+const roadNetwork = createRoadNetwork({ seed: worldSeed, spacing: config.roadSpacing });
+
+// Lane Marking Texture: one dash per 12 world units
+function createDashTexture() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 4;
+    canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, 4, 32);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    return texture;
+}
+const dashPeriod = 12;
+
+const dryRoadColor = new THREE.Color(0x222222); // sRGB hex, converted to linear like any colour set from hex
+const roadMat = new THREE.MeshStandardMaterial({ color: dryRoadColor, roughness: 0.9 });
+const laneMarkMat = new THREE.MeshStandardMaterial({ color: 0xffffff, map: createDashTexture(), alphaTest: 0.5, roughness: 0.6 });
+const centerLineMat = new THREE.MeshStandardMaterial({ color: 0xffcc00, roughness: 0.6 });
+
+// Chunk geometry is collected per material while a tile is built, then merged
+// so each tile costs one draw call per material (see mergeChunkGeometry)
+function addChunkGeometry(chunk, geometry, material) {
+    if (!chunk.geometries.has(material)) chunk.geometries.set(material, []);
+    chunk.geometries.get(material).push(geometry);
+}
+
+function mergeChunkGeometry(chunk) {
+    chunk.geometries.forEach((geometries, material) => {
+        const mesh = new THREE.Mesh(mergeGeometries(geometries), material);
+        geometries.forEach(geometry => geometry.dispose());
+        mesh.castShadow = material === buildingMaterial;
+        mesh.receiveShadow = true;
+        scene.add(mesh);
+        chunk.meshes.push(mesh);
+    });
+    chunk.geometries.clear();
+}
+
+// Flat strip lying on the ground, running along the 'x' or 'z' axis
+function createStrip(chunk, x, z, length, width, along, mat, y) {
+    const geo = along === 'z' ? new THREE.PlaneGeometry(width, length) : new THREE.PlaneGeometry(length, width);
+    if (mat.map) {
+        // UVs in world units so dashes line up across chunk borders
+        const pos = geo.attributes.position;
+        const uv = geo.attributes.uv;
+        for (let k = 0; k < uv.count; k++) {
+            const worldAlong = along === 'z' ? z - pos.getY(k) : x + pos.getX(k);
+            uv.setXY(k, 0.5, worldAlong / dashPeriod);
+        }
+    }
+    geo.rotateX(-Math.PI / 2);
+    geo.translate(x, y, z);
+    addChunkGeometry(chunk, geo, mat);
+}
+
+function createLaneMarkings(chunk, edge, x, z, length) {
+    const laneWidth = edge.width / (edge.lanes * 2);
+    if (edge.lanes > 1) {
+        // Avenue: solid yellow centre line, dashed white lane dividers
+        createStrip(chunk, x, z, length, 0.5, edge.along, centerLineMat, 0.02);
+        for (let lane = 1; lane < edge.lanes; lane++) {
+            [-1, 1].forEach(sign => {
+                const offset = sign * lane * laneWidth;
+                const ox = edge.along === 'z' ? offset : 0;
+                const oz = edge.along === 'z' ? 0 : offset;
+                createStrip(chunk, x + ox, z + oz, length, 0.3, edge.along, laneMarkMat, 0.02);
+            });
+        }
+    } else {
+        createStrip(chunk, x, z, length, 0.3, edge.along, laneMarkMat, 0.02);
+    }
+}
+
+// Draws the part of every road that falls inside the chunk; returns the drawn pieces
+function createRoads(chunk, minX, minZ, maxX, maxZ) {
+    const pieces = [];
+    roadNetwork.edgesInRect(minX, minZ, maxX, maxZ).forEach(edge => {
+        let x, z, length;
+        if (edge.along === 'z') {
+            if (edge.x0 < minX || edge.x0 >= maxX) return; // Owned by the chunk holding its centre line
+            const z0 = Math.max(edge.z0, minZ);
+            const z1 = Math.min(edge.z1, maxZ);
+            length = z1 - z0;
+            x = edge.x0; z = (z0 + z1) / 2;
+        } else {
+            if (edge.z0 < minZ || edge.z0 >= maxZ) return;
+            const x0 = Math.max(edge.x0, minX);
+            const x1 = Math.min(edge.x1, maxX);
+            length = x1 - x0;
+            x = (x0 + x1) / 2; z = edge.z0;
+        }
+        if (length <= 0) return;
+        createStrip(chunk, x, z, length, edge.width, edge.along, roadMat, 0.01);
+        createLaneMarkings(chunk, edge, x, z, length);
+        pieces.push({ edge, x, z, length });
+    });
 
-// Road Generation
-function createRoad() {
-    const roadGeo = new THREE.PlaneGeometry(30, config.worldSize);
-    const roadMat = new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 0.9 });
-    const roadMesh = new THREE.Mesh(roadGeo, roadMat);
-    roadMesh.rotation.x = -Math.PI / 2;
-    roadMesh.position.y = 0.01; 
-    roadMesh.receiveShadow = true;
-    scene.add(roadMesh);
+    // Intersections
+    roadNetwork.nodesInRect(minX, minZ, maxX, maxZ).forEach(node => {
+        createStrip(chunk, node.x, node.z, node.sizeZ, node.sizeX, 'z', roadMat, 0.01);
+    });
+    return pieces;
 }
-createRoad();
+
+// Building footprints, for near-miss checks. Lots are at most ~60 units across,
+// so any footprint within this reach of its centre has that centre inside it
+const buildingGrid = createSpatialHash(40);
+const BUILDING_REACH = 50;
 
 // Building Generator
-function createBuilding(x, z, width, height, depth) {
+function createBuilding(chunk, x, z, width, height, depth, tint) {
     const geo = new THREE.BoxGeometry(width, height, depth);
-    const myTexture = cityTexture.clone();
-    myTexture.repeat.set(width / 10, height / 5);
-    myTexture.needsUpdate = true;
-    
-    // Randomize color tint
-    const tint = Math.random() * 0.4 + 0.6; 
-    const color = new THREE.Color().setScalar(tint);
-    
-    const mat = new THREE.MeshStandardMaterial({ 
-        map: myTexture, color: color, roughness: 0.3, metalness: 0.1 
-    });
-    
-    const mesh = new THREE.Mesh(geo, mat);
-    mesh.position.set(x, height / 2, z); 
-    mesh.castShadow = true;
-    mesh.receiveShadow = true;
-    scene.add(mesh);
+    // Texture repeat (one window pair per 10 x 5 units), glow offset and tint are
+    // baked in per vertex so every building can share buildingMaterial
+    const uv = geo.attributes.uv;
+    const glowUv = new Float32Array(uv.count * 2);
+    // Glow offset picked from tint / height so the seeded city layout doesn't shift
+    const glowX = Math.floor(tint * 97) % WINDOW_TILES / WINDOW_TILES;
+    const glowY = Math.floor(height) % WINDOW_TILES / WINDOW_TILES;
+    for (let k = 0; k < uv.count; k++) {
+        const u = uv.getX(k) * width / 10;
+        const v = uv.getY(k) * height / 5;
+        uv.setXY(k, u, v);
+        glowUv[k * 2] = u / WINDOW_TILES + glowX;
+        glowUv[k * 2 + 1] = v / WINDOW_TILES + glowY;
+    }
+    geo.setAttribute('uv1', new THREE.BufferAttribute(glowUv, 2));
+    geo.setAttribute('color', new THREE.BufferAttribute(new Float32Array(uv.count * 3).fill(tint), 3));
+    geo.translate(x, height / 2, z);
+    addChunkGeometry(chunk, geo, buildingMaterial);
 
     const shape = new CANNON.Box(new CANNON.Vec3(width / 2, height / 2, depth / 2));
     const body = new CANNON.Body({
@@ -205,18 +573,22 @@ function createBuilding(x, z, width, height, depth) {
         shape: shape
     });
     world.addBody(body);
+    chunk.bodies.push(body);
+
+    const footprint = { x, z, halfW: width / 2, halfD: depth / 2 };
+    buildingGrid.insert(footprint);
+    chunk.footprints.push(footprint);
 }
 
-// Procedural City Population
-for (let i = 0; i < 400; i++) { 
-    let x = (Math.random() - 0.5) * 1800; 
-    let z = (Math.random() - 0.5) * 1800;
-    if (Math.abs(x) < 20) continue; // Keep main road clear
-    
-    const w = 15 + Math.random() * 20; 
-    const h = 20 + Math.random() * 80; 
-    const d = 15 + Math.random() * 20; 
-    createBuilding(x, z, w, h, d);
+// Distance from (x, z) to the nearest building wall (0 inside one)
+function buildingGap(x, z) {
+    let gap = Infinity;
+    buildingGrid.query(x, z, BUILDING_REACH).forEach(b => {
+        const dx = Math.max(Math.abs(x - b.x) - b.halfW, 0);
+        const dz = Math.max(Math.abs(z - b.z) - b.halfD, 0);
+        gap = Math.min(gap, Math.hypot(dx, dz));
+    });
+    return gap;
 }
 
 // Ramp
@@ -238,92 +610,362 @@ world.addBody(rampBody);
 // ==========================================
 // 6. VEHICLE SYSTEM
 // ==========================================
-const carConfigs = [
-    { name: "F1 RACER", color: 0xdc143c, scale: 2.0, maxSpeed: 30, accel: 0.2, grip: 0.8, mass: 200 },
-    { name: "RALLY CAR", color: 0x0055ff, scale: 2.2, maxSpeed: 25, accel: 0.15, grip: 0.2, mass: 300 }, 
-    { name: "CYBER TRUCK", color: 0x228b22, scale: 2.5, maxSpeed: 20, accel: 0.1, grip: 0.9, mass: 800 } 
-];
-
-let carMesh = null;
-let boxBody = null;
+// Car classes live in data/vehicles.json (see src/vehicles.js for the format)
+let carConfigs;
+try {
+    carConfigs = await loadVehicleDefinitions();
+} catch (err) {
+    if (loadingScreen) loadingScreen.innerText = err.message;
+    throw err;
+}
+const garage = createGarage(carConfigs);
+const damage = createDamageModel(); // Carries over when switching cars, so V isn't a free repair
+
+let carMesh = null; // Player one's model; the car itself is sim.player (see src/car.js)
+let playerTwo = null; // Split-screen only: { mesh, car, floorBody, ... } (see section 15)
+
+// Spoiler for cars that don't ship with one: sits on the tallest part, at the rear
+function defaultSpoiler(model) {
+    let top = 0, rear = 0, width = 0;
+    model.parts.forEach(part => {
+        top = Math.max(top, part.position[1] + part.size[1] / 2);
+        rear = Math.max(rear, part.position[2] + part.size[2] / 2);
+        width = Math.max(width, part.size[0]);
+    });
+    return { size: [width * 0.9, 0.08, 0.3], position: [0, top + 0.2, rear - 0.2], struts: true };
+}
 
-function createF1Car(color, scale) {
+// Builds the visual model described by a vehicle definition's "model" block,
+// with the garage paint / spoiler / wheel choices applied
+function createCarModel(def, custom = defaultCustomization(def)) {
+    const { model, scale } = def;
     const carGroup = new THREE.Group();
-    const bodyMat = new THREE.MeshStandardMaterial({ color: color, roughness: 0.2, metalness: 0.5 });
-    const blackMat = new THREE.MeshStandardMaterial({ color: 0x111111, roughness: 0.8 });
-    const greyMat = new THREE.MeshStandardMaterial({ color: 0x555555, roughness: 0.5 });
-
-    // Chassis
-    const chassis = new THREE.Mesh(new THREE.BoxGeometry(1, 0.4, 2.5), bodyMat);
-    chassis.position.y = 0.2; chassis.castShadow = true;
-    carGroup.add(chassis);
-
-    // Cockpit
-    const cockpit = new THREE.Mesh(new THREE.BoxGeometry(0.8, 0.4, 1), blackMat);
-    cockpit.position.set(0, 0.5, 0); cockpit.castShadow = true;
-    carGroup.add(cockpit);
+    const materials = {
+        paint: new THREE.MeshStandardMaterial({ color: custom.color, roughness: 0.2, metalness: 0.5 }),
+        black: new THREE.MeshStandardMaterial({ color: 0x111111, roughness: 0.8 }),
+        grey: new THREE.MeshStandardMaterial({ color: 0x555555, roughness: 0.5 }),
+        chrome: new THREE.MeshStandardMaterial({ color: 0xcccccc, roughness: 0.15, metalness: 1.0 }),
+        glass: new THREE.MeshStandardMaterial({ color: 0x223344, roughness: 0.05, metalness: 0.8 })
+    };
+
+    const addBox = (size, position, mat, rotation) => {
+        const mesh = new THREE.Mesh(new THREE.BoxGeometry(...size), mat);
+        mesh.position.set(...position);
+        if (rotation) mesh.rotation.set(...rotation);
+        mesh.castShadow = true;
+        carGroup.add(mesh);
+        return mesh;
+    };
+
+    // Body (chassis, cockpit, panels...)
+    carGroup.userData.parts = {};
+    model.parts.forEach(part => {
+        carGroup.userData.parts[part.name] = addBox(part.size, part.position, materials[part.material], part.rotation);
+    });
 
     // Spoiler
-    const spoilerBlade = new THREE.Mesh(new THREE.BoxGeometry(1.6, 0.1, 0.4), blackMat);
-    spoilerBlade.position.set(0, 0.8, 1.1); spoilerBlade.castShadow = true;
-    carGroup.add(spoilerBlade);
+    const spoiler = custom.spoiler ? (model.spoiler || defaultSpoiler(model)) : null;
+    if (spoiler) {
+        const { size, position } = spoiler;
+        const wing = addBox(size, position, materials.black);
+        carGroup.userData.parts.spoiler = wing;
+        wing.userData.struts = [];
+        if (spoiler.struts) {
+            [-1, 1].forEach(side => {
+                wing.userData.struts.push(addBox([0.08, position[1] - 0.35, 0.1], [side * size[0] * 0.3, (position[1] + 0.35) / 2, position[2]], materials.black));
+            });
+        }
+    }
 
-    // Wheels
-    const wheelGeo = new THREE.CylinderGeometry(0.35, 0.35, 0.4, 32);
+    // Wheels (the physics wheels are built in the same order)
+    const { radius, width } = model.wheels;
+    const offroad = custom.wheelStyle === 'offroad';
+    const wheelGeo = new THREE.CylinderGeometry(radius, radius, offroad ? width * 1.3 : width, offroad ? 10 : 32);
     wheelGeo.rotateZ(Math.PI / 2); 
-    const wheelPositions = [
-        { x: 0.7, z: 0.8 }, { x: -0.7, z: 0.8 },
-        { x: 0.7, z: -1.0 }, { x: -0.7, z: -1.0 }
-    ];
-    wheelPositions.forEach(pos => {
-        const wheel = new THREE.Mesh(wheelGeo, blackMat);
+    carGroup.userData.wheels = model.wheels.positions.map(pos => {
+        const wheel = new THREE.Mesh(wheelGeo, materials.black);
         wheel.position.set(pos.x, 0, pos.z);
         wheel.castShadow = true;
+        if (custom.wheelStyle === 'sport') {
+            // Chrome cross spokes, so the wheel spin is visible
+            [0, Math.PI / 2].forEach(angle => {
+                const spoke = new THREE.Mesh(new THREE.BoxGeometry(width * 1.05, radius * 1.5, radius * 0.15), materials.chrome);
+                spoke.rotation.x = angle;
+                wheel.add(spoke);
+            });
+        } else if (offroad) {
+            const hub = new THREE.Mesh(new THREE.BoxGeometry(width * 1.35, radius * 0.8, radius * 0.8), materials.grey);
+            wheel.add(hub);
+        }
         carGroup.add(wheel);
+        return { mesh: wheel, x: pos.x * scale, z: pos.z * scale, steer: !!pos.steer, drive: !!pos.drive };
     });
 
-    // Headlights
-    const headLight = new THREE.SpotLight(0xffffff, 400); 
-    headLight.position.set(0, 1, -0.5); 
-    headLight.target.position.set(0, 0, -10); 
-    headLight.angle = 0.6; headLight.penumbra = 0.5; headLight.castShadow = true;
-    carGroup.add(headLight); 
-    carGroup.add(headLight.target);
+    // Lights
+    model.lights.lamps.forEach(lamp => {
+        addBox(lamp.size, lamp.position, new THREE.MeshStandardMaterial({ color: lamp.color, emissive: lamp.color, emissiveIntensity: 1 }));
+    });
+    const head = model.lights.headlight;
+    if (head) {
+        const headLight = new THREE.SpotLight(0xffffff, head.intensity); 
+        headLight.position.set(...head.position); 
+        headLight.target.position.set(head.position[0], 0, head.position[2] - 10); 
+        headLight.angle = head.angle; headLight.penumbra = 0.5; headLight.castShadow = true;
+        carGroup.add(headLight); 
+        carGroup.add(headLight.target);
+        headLight.userData.baseIntensity = head.intensity;
+        carGroup.userData.headlight = headLight;
+    }
 
+    carGroup.userData.offsetY = def.collision.modelOffsetY;
+    carGroup.userData.paint = materials.paint; // Recoloured in place by the garage
     carGroup.scale.set(scale, scale, scale);
     return carGroup;
 }
 
-function spawnCar(index) {
-    if (carMesh) scene.remove(carMesh);
-    if (boxBody) world.removeBody(boxBody);
+// Traffic and ghost cars skip the headlight: dozens of spotlights would swamp the renderer
+function removeCarLights(model) {
+    const lights = [];
+    model.traverse(child => { if (child.isLight) lights.push(child); });
+    lights.forEach(light => {
+        model.remove(light);
+        if (light.target) model.remove(light.target);
+    });
+    return model;
+}
+
+// Frees a car model's geometries, materials and headlight shadow map once it's out of the scene
+function disposeModel(model) {
+    model.traverse(child => {
+        if (child.isLight) child.dispose();
+        if (!child.isMesh) return;
+        child.geometry.dispose();
+        child.material.dispose();
+    });
+}
+
+function colorToHex(color) {
+    return '#' + color.toString(16).padStart(6, '0');
+}
+
+// lift: metres above the old car's position, so a bigger car doesn't start in the road
+function spawnCar(index, lift = 1) {
+    if (carMesh) {
+        scene.remove(carMesh);
+        disposeModel(carMesh);
+    }
 
-    const stats = carConfigs[index];
+    const def = carConfigs[index];
+    const custom = garage.get(def.id);
+    const stats = applyTuning(def.handling, custom.tuning);
     const uiName = document.getElementById('car-name');
     if(uiName) {
-        uiName.innerText = stats.name;
-        uiName.style.color = '#' + stats.color.toString(16);
+        uiName.innerText = def.name;
+        uiName.style.color = colorToHex(custom.color);
     }
 
-    carMesh = createF1Car(stats.color, stats.scale);
+    carMesh = createCarModel(def, custom);
+    damage.state.detached.forEach(name => removePart(carMesh, name));
     scene.add(carMesh);
 
-    const startPos = boxBody ? boxBody.position : new CANNON.Vec3(0, 4, 0);
-    const startQuat = boxBody ? boxBody.quaternion : new CANNON.Quaternion();
+    const old = sim.player;
+    const startPos = old ? old.body.position.vadd(new CANNON.Vec3(0, lift, 0)) : new CANNON.Vec3(0, 4, 0);
+    const startQuat = old ? old.body.quaternion : new CANNON.Quaternion();
+    sim.spawnCar(def, stats, startPos, startQuat).body.addEventListener('collide', onCarCollide);
+}
+
+// Damage
+// Impacts are queued from the collide event (mid physics step) and applied
+// afterwards by applyImpacts(), so the model is never changed mid-solve.
+const pendingImpacts = [];
+const debris = [];
+const healthFill = document.getElementById('health-fill');
+
+// Driving surfaces (floor, ramp) and the car's own loose parts don't count as crashes
+function onCarCollide(e) {
+    if (e.body === floorBody || e.body === rampBody || (playerTwo && e.body === playerTwo.floorBody)) return;
+    if (debris.some(piece => piece.body === e.body)) return;
+    const contact = e.contact;
+    const offset = contact.bi === sim.player.body ? contact.ri : contact.rj; // Contact point relative to the chassis
+    pendingImpacts.push({ body: e.body, speed: Math.abs(contact.getImpactVelocityAlongNormal()), x: offset.x, y: offset.y, z: offset.z });
+}
+
+// Takes a part (and a spoiler's struts) off a car model; returns it, or null if it's already gone
+function removePart(model, name) {
+    const part = model.userData.parts[name];
+    if (!part || part.parent !== model) return null;
+    (part.userData.struts || []).forEach(strut => model.remove(strut));
+    model.remove(part);
+    return part;
+}
+
+// Squashes the part closest to the contact point, in model units
+function deformPart(impact, amount) {
+    const q = sim.player.body.quaternion;
+    const local = new THREE.Vector3(impact.x, impact.y, impact.z)
+        .applyQuaternion(new THREE.Quaternion(q.x, q.y, q.z, q.w).invert());
+    local.y -= carMesh.userData.offsetY;
+    local.divideScalar(carMesh.scale.x);
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    Object.values(carMesh.userData.parts).forEach(part => {
+        const distance = part.position.distanceTo(local);
+        if (part.parent === carMesh && distance < nearestDistance) {
+            nearest = part;
+            nearestDistance = distance;
+        }
+    });
+    if (!nearest) return;
+
+    const dent = Math.min(0.25, amount / 60);
+    const dir = local.sub(nearest.position);
+    const axis = ['x', 'y', 'z'].reduce((a, b) => (Math.abs(dir[b]) > Math.abs(dir[a]) ? b : a));
+    nearest.scale[axis] = Math.max(0.6, nearest.scale[axis] * (1 - dent));
+    nearest.rotation.z += (Math.random() - 0.5) * dent;
+}
 
-    boxBody = new CANNON.Body({
-        mass: stats.mass, 
-        shape: new CANNON.Box(new CANNON.Vec3(1, 0.6, 2.5)), 
-        position: startPos,
-        quaternion: startQuat,
+// A part that breaks off becomes loose debris with its own physics body
+function detachPart(name) {
+    const part = removePart(carMesh, name);
+    if (!part) return;
+    const position = new THREE.Vector3(), quaternion = new THREE.Quaternion(), scale = new THREE.Vector3();
+    carMesh.updateMatrixWorld();
+    part.matrixWorld.decompose(position, quaternion, scale);
+    part.position.copy(position);
+    part.quaternion.copy(quaternion);
+    part.scale.copy(scale);
+    part.material = part.material.clone(); // Its own copy: the car's materials are disposed when the car is replaced
+    scene.add(part);
+
+    const { width, height, depth } = part.geometry.parameters;
+    const body = new CANNON.Body({
+        mass: 20,
+        shape: new CANNON.Box(new CANNON.Vec3(width * scale.x / 2, height * scale.y / 2, depth * scale.z / 2)),
+        position: new CANNON.Vec3(position.x, position.y, position.z),
+        quaternion: new CANNON.Quaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w),
         material: physicsMaterials.box,
-        fixedRotation: true,
-        linearDamping: 0.5, 
-        allowSleep: false
+        linearDamping: 0.3,
+        angularDamping: 0.3
     });
-    
-    if (currentSpeed) boxBody.velocity = new CANNON.Vec3(0,0,0); 
-    world.addBody(boxBody);
+    body.velocity.copy(sim.player.body.velocity);
+    body.velocity.y += 4;
+    body.angularVelocity.set(Math.random() * 6 - 3, Math.random() * 6 - 3, Math.random() * 6 - 3);
+    world.addBody(body);
+    debris.push({ mesh: part, body, life: config.debrisLifetime });
+}
+
+function updateDebris(dt) {
+    for (let i = debris.length - 1; i >= 0; i--) {
+        const piece = debris[i];
+        piece.life -= dt;
+        piece.mesh.position.copy(piece.body.position);
+        piece.mesh.quaternion.copy(piece.body.quaternion);
+        if (piece.life <= 0) {
+            scene.remove(piece.mesh);
+            piece.mesh.geometry.dispose();
+            piece.mesh.material.dispose();
+            world.removeBody(piece.body);
+            debris.splice(i, 1);
+        }
+    }
+}
+
+// Engine smoke: a small pool of sprites that rise, swell and fade
+const smokeTexture = (() => {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    const gradient = ctx.createRadialGradient(32, 32, 0, 32, 32, 32);
+    gradient.addColorStop(0, 'rgba(255,255,255,1)');
+    gradient.addColorStop(1, 'rgba(255,255,255,0)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, 64, 64);
+    return new THREE.CanvasTexture(canvas);
+})();
+const smokePuffs = Array.from({ length: 40 }, () => {
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: smokeTexture, color: 0x444444, transparent: true, depthWrite: false }));
+    sprite.visible = false;
+    sprite.userData = { age: 0, life: 0 };
+    scene.add(sprite);
+    return sprite;
+});
+let smokeTimer = 0;
+
+function updateSmoke(dt) {
+    const smoke = damage.effects().smoke;
+    smokeTimer -= dt * smoke * 25; // Up to 25 puffs a second when wrecked
+    if (smokeTimer <= 0 && smoke > 0) {
+        smokeTimer = 1;
+        const puff = smokePuffs.find(p => !p.visible);
+        if (puff) {
+            // From the front of the car (the engine bay), a little above the body
+            const forward = sim.player.body.quaternion.vmult(new CANNON.Vec3(0, 0.8, -1.5));
+            puff.position.set(sim.player.body.position.x + forward.x, sim.player.body.position.y + forward.y, sim.player.body.position.z + forward.z);
+            puff.userData.age = 0;
+            puff.userData.life = 1.5 + Math.random();
+            puff.visible = true;
+        }
+    }
+    smokePuffs.forEach(puff => {
+        if (!puff.visible) return;
+        const data = puff.userData;
+        data.age += dt;
+        if (data.age >= data.life) {
+            puff.visible = false;
+            return;
+        }
+        const t = data.age / data.life;
+        puff.position.y += 2 * dt;
+        puff.scale.setScalar(1 + t * 4);
+        puff.material.opacity = (1 - t) * 0.6;
+    });
+}
+
+function updateHealthBar() {
+    const health = 1 - damage.state.damage / MAX_DAMAGE;
+    healthFill.style.width = (health * 100) + '%';
+    healthFill.style.background = health > 0.6 ? '#33ff33' : health > 0.3 ? '#ffcc00' : '#ff3333';
+}
+
+// Time Attack loses time, races gain it
+function applyPenalty(seconds, label) {
+    if (gameState !== 'playing') return;
+    const mode = session.state.mode;
+    if (mode === 'race') raceTime += seconds;
+    else if (!session.penalty(seconds)) return;
+    showSplit(label + " " + (mode === 'race' ? '+' : '-') + seconds + "s", '#ff3333');
+}
+
+function applyImpacts() {
+    // One crash can report several contact points; only the hardest per body counts
+    const hardest = new Map();
+    pendingImpacts.splice(0).forEach(impact => {
+        const current = hardest.get(impact.body);
+        if (!current || impact.speed > current.speed) hardest.set(impact.body, impact);
+    });
+    hardest.forEach(impact => {
+        if (impact.speed > 2) audio.impact(impact.speed);
+        if (splitScreen) return; // Head-to-head is bumper cars, so nobody is slowed by damage
+        const result = damage.hit(impact.speed);
+        if (!result.amount) return;
+        deformPart(impact, result.amount);
+        result.detach.forEach(detachPart);
+        crashStunts();
+        if (result.heavy) {
+            sim.player.state.throttle = 0; // Don't keep grinding into the wall
+            if (session.state.mode === 'timeAttack') applyPenalty(config.crashTimePenalty, "CRASH");
+        }
+    });
+    updateHealthBar();
+}
+
+// Fresh model, full health; costs time mid-run (free before a run starts)
+function repairCar(penalty) {
+    if (damage.repair() === 0) return;
+    spawnCar(currentCarIndex);
+    updateHealthBar();
+    if (penalty) applyPenalty(config.repairTimePenalty, "REPAIR");
 }
 
 // Initial Spawn
@@ -333,13 +975,57 @@ if (loadingScreen) loadingScreen.style.display = 'none';
 // ==========================================
 // 7. CONTROLS & INPUT
 // ==========================================
-function attachTouch(id, key) {
+// Every device feeds the same analog controls (see src/input.js)
+const input = createInput({ keyBindings: settings.keyBindings() });
+const playerTwoInput = createInput({ keyBindings: P2_KEY_BINDINGS, padIndex: 1 }); // Split-screen, right half
+
+input.on('garage', () => {
+    if (gameState !== 'playing') return;
+    if (garageOpen) closeGarage();
+    else if (garageAllowed()) openGarage();
+});
+input.on('camera', () => {
+    if (gameState !== 'playing' || garageOpen) return;
+    cameraMode = (cameraMode + 1) % 3;
+});
+input.on('vehicle', () => {
+    if (gameState !== 'playing' || garageOpen) return;
+    if (session.state.mode === 'race' || splitScreen) return; // Best laps are per vehicle, and head-to-head is like for like
+    currentCarIndex = (currentCarIndex + 1) % carConfigs.length;
+    spawnCar(currentCarIndex);
+});
+input.on('reset', () => {
+    if (gameState === 'playing' && !garageOpen) sim.requestReset();
+});
+input.on('pause', () => {
+    if (settingsOpen) return;
+    if (gameState === 'playing') pauseGame();
+    else if (gameState === 'paused') resumeGame();
+    else if (gameState === 'map') closeMap();
+});
+input.on('map', () => {
+    if (settingsOpen) return;
+    if (gameState === 'map') closeMap();
+    else if (gameState === 'playing' && !garageOpen && !splitScreen) openMap();
+});
+playerTwoInput.on('camera', () => {
+    if (gameState === 'playing' && playerTwo) playerTwo.cameraMode = (playerTwo.cameraMode + 1) % 3;
+});
+playerTwoInput.on('reset', () => {
+    if (gameState === 'playing' && playerTwo) playerTwo.resetRequested = true;
+});
+playerTwoInput.on('pause', () => input.trigger('pause'));
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) pauseGame(); // Nothing should run on while nobody is watching
+});
+
+function attachTouch(id, control) {
     const el = document.getElementById(id);
     if (!el) return;
-    el.addEventListener('touchstart', (e) => { e.preventDefault(); keys[key] = true; });
-    el.addEventListener('touchend', (e) => { e.preventDefault(); keys[key] = false; });
-    el.addEventListener('mousedown', (e) => { e.preventDefault(); keys[key] = true; });
-    el.addEventListener('mouseup', (e) => { e.preventDefault(); keys[key] = false; });
+    el.addEventListener('touchstart', (e) => { e.preventDefault(); input.setTouch(control, true); });
+    el.addEventListener('touchend', (e) => { e.preventDefault(); input.setTouch(control, false); });
+    el.addEventListener('mousedown', (e) => { e.preventDefault(); input.setTouch(control, true); });
+    el.addEventListener('mouseup', (e) => { e.preventDefault(); input.setTouch(control, false); });
 }
 
 function attachClick(id, action) {
@@ -349,232 +1035,1769 @@ function attachClick(id, action) {
     el.addEventListener('mousedown', (e) => { e.preventDefault(); action(); });
 }
 
-attachTouch('btn-gas', 'w');
-attachTouch('btn-brake', 's');
-attachTouch('btn-left', 'a');
-attachTouch('btn-right', 'd');
-attachTouch('btn-drift', ' ');
+attachTouch('btn-gas', 'throttle');
+attachTouch('btn-brake', 'brake');
+attachTouch('btn-left', 'left');
+attachTouch('btn-right', 'right');
+attachTouch('btn-drift', 'handbrake');
 
-attachClick('btn-reset', () => { keys.r = true; setTimeout(() => keys.r = false, 100); });
-attachClick('btn-cam', () => { cameraMode = (cameraMode + 1) % 3; });
-attachClick('btn-car', () => { 
-    currentCarIndex = (currentCarIndex + 1) % carConfigs.length;
-    spawnCar(currentCarIndex);
-});
+attachClick('btn-reset', () => input.trigger('reset'));
+attachClick('btn-cam', () => input.trigger('camera'));
+attachClick('btn-car', () => input.trigger('vehicle'));
+attachClick('btn-garage', () => { if (!garageOpen) input.trigger('garage'); });
+attachClick('btn-pause', () => input.trigger('pause'));
+attachClick('minimap-border', () => input.trigger('map'));
 
 document.addEventListener('keydown', (e) => {
-    if (!gameActive) return;
+    if (e.key === 'Escape' && !e.repeat) input.trigger('pause'); // Not rebindable, so there's always a way out
+    input.keyDown(e.key.toLowerCase(), e.repeat);
+    playerTwoInput.keyDown(e.key.toLowerCase(), e.repeat);
+});
+document.addEventListener('keyup', (e) => {
+    input.keyUp(e.key.toLowerCase());
+    playerTwoInput.keyUp(e.key.toLowerCase());
+});
+
+// Audio (the browser only lets it start after the first gesture)
+const audio = createAudio();
+['keydown', 'mousedown', 'touchstart'].forEach(type => document.addEventListener(type, audio.unlock));
+
+const muteBtn = document.getElementById('mute-btn');
+function refreshMuteButton() {
+    muteBtn.innerText = audio.settings.muted ? "🔇" : "🔊";
+}
+function toggleMute() {
+    audio.toggleMute();
+    refreshMuteButton();
+}
+attachClick('mute-btn', toggleMute);
+input.on('mute', toggleMute);
+refreshMuteButton();
+
+VOLUME_CHANNELS.forEach(channel => {
+    const slider = document.getElementById('volume-' + channel);
+    slider.value = audio.settings[channel] * 100;
+    slider.addEventListener('input', () => audio.setVolume(channel, slider.value / 100));
+});
+
+// Settings Menu (from the start menu or the gear icon). Everything applies
+// straight away; while it's open the keyboard belongs to the menu.
+const settingsEl = document.getElementById('settings');
+const settingsKeysEl = document.getElementById('settings-keys');
+const settingsSelects = {
+    shadows: document.getElementById('setting-shadows'),
+    minimap: document.getElementById('setting-minimap')
+};
+let settingsOpen = false;
+let rebinding = null; // Control waiting for its new key
+let rebindRefused = false; // The last key pressed for it was one of player two's
+
+function formatSetting(name, value) {
+    return name === 'fov' ? value + '°' : Math.round(value * 100) + '%';
+}
+
+function refreshSettings() {
+    Object.keys(SETTING_RANGES).forEach(name => {
+        const slider = document.getElementById('setting-' + name);
+        slider.value = settings.values[name];
+        slider.nextElementSibling.innerText = formatSetting(name, settings.values[name]);
+    });
+    Object.keys(settingsSelects).forEach(name => { settingsSelects[name].value = settings.values[name]; });
+    refreshControlsHelp();
+
+    settingsKeysEl.innerHTML = '';
+    Object.keys(CONTROL_NAMES).forEach(control => {
+        const row = document.createElement('div');
+        row.className = 'garage-row';
+        row.innerText = CONTROL_NAMES[control];
+        const button = document.createElement('button');
+        if (rebinding === control) button.innerText = rebindRefused ? 'PLAYER 2 KEY, TRY ANOTHER' : 'PRESS A KEY';
+        else button.innerText = keyLabel(settings.values.keys[control]);
+        button.addEventListener('click', () => {
+            rebinding = control;
+            rebindRefused = false;
+            refreshSettings();
+        });
+        row.appendChild(button);
+        settingsKeysEl.appendChild(row);
+    });
+}
+
+// Rebuilds the loaded city so a new building density shows up without a reload
+function rebuildCity() {
+    chunkManager.clear();
+    chunkManager.updateAround(playerPoints());
+}
+
+function changeSetting(name, value) {
+    const previous = settings.values[name];
+    if (settings.set(name, value) === previous) return;
+    if (name === 'shadows') applyShadowQuality();
+    else if (name === 'buildingDensity') rebuildCity();
+    else applyViewSettings();
+    refreshSettings();
+}
+
+function openSettings() {
+    settingsOpen = true;
+    rebinding = null;
+    input.release();
+    refreshSettings();
+    settingsEl.style.display = 'flex';
+}
+
+function closeSettings() {
+    settingsOpen = false;
+    rebinding = null;
+    settingsEl.style.display = 'none';
+}
+
+// Rebuilding the city is slow, so density waits for the slider to be let go
+Object.keys(SETTING_RANGES).forEach(name => {
+    const event = name === 'buildingDensity' ? 'change' : 'input';
+    document.getElementById('setting-' + name).addEventListener(event, (e) => changeSetting(name, Number(e.target.value)));
+});
+Object.keys(settingsSelects).forEach(name => {
+    settingsSelects[name].addEventListener('change', () => changeSetting(name, settingsSelects[name].value));
+});
+
+// The on-screen help lists the current bindings, so it's redrawn with the settings menu
+const CONTROLS_HELP = [
+    { controls: ['throttle', 'left', 'brake', 'right'], label: 'Drive' },
+    { controls: ['handbrake'], label: 'Handbrake' },
+    { controls: ['reset'], label: 'Reset / Repair' },
+    { controls: ['camera'], label: 'Camera' },
+    { controls: ['vehicle'], label: 'Change Car' },
+    { controls: ['garage'], label: 'Garage' },
+    { controls: ['map'], label: 'City Map' },
+    { controls: ['mute'], label: 'Mute' },
+    { controls: ['pause'], label: 'Pause', extra: ' / ESC' }
+];
+const controlsKeysEl = document.getElementById('controls-keys');
+
+function refreshControlsHelp() {
+    controlsKeysEl.innerHTML = '';
+    CONTROLS_HELP.forEach(({ controls, label, extra = '' }) => {
+        const keys = document.createElement('b');
+        keys.innerText = controls.map(control => keyLabel(settings.values.keys[control])).join(', ') + extra;
+        controlsKeysEl.append(keys, ' - ' + label, document.createElement('br'));
+    });
+}
+refreshControlsHelp();
+
+// Capture phase on window runs before the game's own key handlers, so they never see these keys
+window.addEventListener('keydown', (e) => {
+    if (!settingsOpen) return;
+    e.stopPropagation();
     const key = e.key.toLowerCase();
-    if(keys.hasOwnProperty(key) || e.key === ' ') keys[e.key === ' ' ? ' ' : key] = true;
-    
-    if(key === 'c' && !cKeyPressed) {
-        cKeyPressed = true;
-        cameraMode = (cameraMode + 1) % 3; 
-    }
-    if(key === 'v' && !vKeyPressed) {
-        vKeyPressed = true;
-        currentCarIndex = (currentCarIndex + 1) % carConfigs.length;
-        spawnCar(currentCarIndex);
+    if (rebinding && isReservedKey(key)) {
+        rebindRefused = true; // Split-screen would drive both cars with it
+        refreshSettings();
+    } else if (rebinding && key !== 'escape') {
+        settings.bind(rebinding, key);
+        input.setKeyBindings(settings.keyBindings());
+        rebinding = null;
+        refreshSettings();
+    } else if (key === 'escape') {
+        if (rebinding) {
+            rebinding = null;
+            refreshSettings();
+        } else {
+            closeSettings();
+        }
     }
+}, true);
+
+attachClick('settings-btn', () => {
+    if (gameState === 'gameOver') return;
+    pauseGame();
+    openSettings();
+});
+document.getElementById('menu-settings').addEventListener('click', openSettings);
+document.getElementById('settings-done').addEventListener('click', closeSettings);
+document.getElementById('settings-reset').addEventListener('click', () => {
+    const density = settings.values.buildingDensity;
+    settings.reset();
+    input.setKeyBindings(settings.keyBindings());
+    applyShadowQuality();
+    applyViewSettings();
+    if (settings.values.buildingDensity !== density) rebuildCity();
+    refreshSettings();
 });
 
-document.addEventListener('keyup', (e) => {
-    const key = e.key.toLowerCase();
-    if(keys.hasOwnProperty(key) || e.key === ' ') keys[e.key === ' ' ? ' ' : key] = false;
-    if(key === 'c') cKeyPressed = false;
-    if(key === 'v') vKeyPressed = false;
+// ==========================================
+// 8. GARAGE
+// ==========================================
+// Opens before the first run and with G / the garage button. Physics keeps running so the
+// preview car settles, but input, coins and the timer are frozen while it's open.
+let garageOpen = false;
+const garageEl = document.getElementById('garage');
+const garageInputs = {
+    name: document.getElementById('garage-car-name'),
+    color: document.getElementById('garage-color'),
+    spoiler: document.getElementById('garage-spoiler'),
+    wheels: document.getElementById('garage-wheels'),
+    points: document.getElementById('garage-points'),
+    tuning: {}
+};
+TUNING_KEYS.forEach(key => { garageInputs.tuning[key] = document.getElementById('garage-' + key); });
+
+function refreshGarage() {
+    const def = carConfigs[currentCarIndex];
+    const custom = garage.get(def.id);
+    garageInputs.name.innerText = def.name;
+    garageInputs.name.style.color = colorToHex(custom.color);
+    garageInputs.color.value = colorToHex(custom.color);
+    garageInputs.spoiler.checked = custom.spoiler;
+    garageInputs.wheels.value = custom.wheelStyle;
+    TUNING_KEYS.forEach(key => {
+        garageInputs.tuning[key].value = custom.tuning[key];
+        const percent = Math.round(custom.tuning[key] * TUNING_STEP_SIZE * 100);
+        garageInputs.tuning[key].nextElementSibling.innerText = (percent > 0 ? '+' : '') + percent + '%';
+    });
+    garageInputs.points.innerText = 'TUNING POINTS LEFT: ' + tuningPointsLeft(custom.tuning);
+}
+
+// Saves the change and respawns the car where it stands so the preview updates
+function customizeCar(changes) {
+    garage.update(carConfigs[currentCarIndex].id, changes);
+    spawnCar(currentCarIndex, 0);
+    refreshGarage();
+}
+
+// The colour picker fires on every drag tick, so paint is changed on the model instead of respawning
+function paintCar(color) {
+    garage.update(carConfigs[currentCarIndex].id, { color });
+    carMesh.userData.paint.color.setHex(color);
+    document.getElementById('car-name').style.color = colorToHex(color);
+    refreshGarage();
+}
+
+// Both players drive the same setup, and the race garage is pre-start only
+function garageAllowed() {
+    return !splitScreen && session.state.mode !== 'race';
+}
+
+function openGarage() {
+    garageOpen = true;
+    input.release();
+    refreshGarage();
+    garageEl.style.display = 'flex';
+}
+
+function closeGarage() {
+    garageOpen = false;
+    garageEl.style.display = 'none';
+}
+
+function selectGarageCar(step) {
+    currentCarIndex = (currentCarIndex + step + carConfigs.length) % carConfigs.length;
+    spawnCar(currentCarIndex);
+    refreshGarage();
+}
+
+document.getElementById('garage-prev').addEventListener('click', () => selectGarageCar(-1));
+document.getElementById('garage-next').addEventListener('click', () => selectGarageCar(1));
+document.getElementById('garage-drive').addEventListener('click', closeGarage);
+document.getElementById('garage-reset').addEventListener('click', () => {
+    garage.reset(carConfigs[currentCarIndex].id);
+    spawnCar(currentCarIndex, 0);
+    refreshGarage();
+});
+garageInputs.color.addEventListener('input', () => paintCar(parseInt(garageInputs.color.value.slice(1), 16)));
+garageInputs.spoiler.addEventListener('change', () => customizeCar({ spoiler: garageInputs.spoiler.checked }));
+garageInputs.wheels.addEventListener('change', () => customizeCar({ wheelStyle: garageInputs.wheels.value }));
+// Tuning rebuilds the car's physics, so it waits for the slider to be let go
+TUNING_KEYS.forEach(key => {
+    garageInputs.tuning[key].addEventListener('change', () => {
+        const current = garage.get(carConfigs[currentCarIndex].id).tuning;
+        customizeCar({ tuning: clampTuning({ ...current, [key]: Number(garageInputs.tuning[key].value) }, key) });
+    });
 });
 
 // ==========================================
-// 8. COLLECTIBLES & GAME LOGIC
+// 9. COLLECTIBLES & GAME LOGIC
 // ==========================================
-const coins = []; 
+// Coins live in the simulation's coin field (src/coins.js), owned by the chunk
+// they were scattered on. They're drawn as two instanced meshes (coin + mini-map icon).
+const coins = sim.coins.coins;
+let coinSpin = 0;     // Every coin spins in step
+
+const coinGeo = new THREE.CylinderGeometry(0.8, 0.8, 0.2, 20); 
+coinGeo.rotateZ(Math.PI / 2); 
+const coinMat = new THREE.MeshStandardMaterial({ 
+    color: 0xffd700, metalness: 0.8, roughness: 0.2, emissive: 0xffaa00, emissiveIntensity: 0.5
+});
+const mapIconGeo = new THREE.CircleGeometry(4, 8); 
+mapIconGeo.rotateX(-Math.PI / 2);
+const mapIconMat = new THREE.MeshBasicMaterial({ color: 0xffff00 });
+
+const coinMesh = new THREE.InstancedMesh(coinGeo, coinMat, maxCoins);
+const coinIconMesh = new THREE.InstancedMesh(mapIconGeo, mapIconMat, maxCoins); // Mini-map Icons
+[coinMesh, coinIconMesh].forEach(mesh => {
+    mesh.count = 0;
+    mesh.frustumCulled = false; // Instances are spread over the whole loaded city
+    scene.add(mesh);
+});
 
-function createCoin(x, z) {
-    const coinGroup = new THREE.Group();
-    coinGroup.position.set(x, 1, z);
-    
-    const geo = new THREE.CylinderGeometry(0.8, 0.8, 0.2, 20); 
-    geo.rotateZ(Math.PI / 2); 
-    const mat = new THREE.MeshStandardMaterial({ 
-        color: 0xffd700, metalness: 0.8, roughness: 0.2, emissive: 0xffaa00, emissiveIntensity: 0.5
+// Coins only count in Time Attack
+function setCoinsVisible(visible) {
+    coinMesh.visible = visible;
+    coinIconMesh.visible = visible;
+}
+
+// Stunts: drifts, jumps and near misses build a combo (see src/stunts.js) that is
+// added to the score once banked. Time Attack only, and not in split-screen
+const stunts = createStuntScorer();
+const stuntComboEl = document.getElementById('stunt-combo');
+const stuntPopupsEl = document.getElementById('stunt-popups');
+
+function stuntsActive() {
+    return gameState === 'playing' && !garageOpen && session.state.mode === 'timeAttack' && !splitScreen;
+}
+
+// Pop-ups rise and fade out by CSS animation, then remove themselves
+function showStuntPopup(text, color) {
+    const popup = document.createElement('div');
+    popup.className = 'stunt-popup';
+    popup.innerText = text;
+    popup.style.color = color;
+    popup.addEventListener('animationend', () => popup.remove());
+    stuntPopupsEl.appendChild(popup);
+}
+
+function updateStuntCombo() {
+    const pending = stunts.pending();
+    const text = pending ? "x" + stunts.state.multiplier + "  " + pending : "";
+    if (stuntComboEl.innerText !== text) stuntComboEl.innerText = text;
+}
+
+function applyStuntEvents(events) {
+    events.forEach(event => {
+        if (event.type === 'bank') {
+            session.addPoints(event.points);
+            scoreEl.innerHTML = "SCORE: " + session.state.score;
+            showStuntPopup("+" + event.points, '#ffaa00');
+        } else {
+            showStuntPopup(STUNT_NAMES[event.type] + " +" + event.points, '#ffffff');
+        }
     });
-    const coinMesh = new THREE.Mesh(geo, mat);
-    coinMesh.castShadow = false; 
-    coinGroup.add(coinMesh); 
+    updateStuntCombo();
+}
 
-    // Mini-map Icon
-    const mapIconGeo = new THREE.CircleGeometry(4, 8); 
-    const mapIconMat = new THREE.MeshBasicMaterial({ color: 0xffff00 });
-    const mapIcon = new THREE.Mesh(mapIconGeo, mapIconMat);
-    mapIcon.rotation.x = -Math.PI / 2; 
-    mapIcon.position.y = 20; 
-    coinGroup.add(mapIcon); 
+// Samples the car once per fixed step
+function updateStunts(dt) {
+    if (!stuntsActive()) return;
+    const { body, vehicle, def, state } = sim.player;
+    const v = body.velocity;
+    // The chassis touching anything counts too, so a car on its roof isn't "in the air"
+    const grounded = vehicle.wheelInfos.some(wheel => wheel.isInContact) ||
+        world.contacts.some(contact => contact.bi === body || contact.bj === body);
+    const halfWidth = def.collision.halfExtents[0];
+    applyStuntEvents(stunts.update(dt, {
+        heading: state.heading,
+        vx: v.x,
+        vz: v.z,
+        grounded,
+        wallGap: buildingGap(body.position.x, body.position.z) - halfWidth
+    }));
+}
+
+// Crashing (or resetting the car) loses the combo
+function crashStunts() {
+    if (stunts.crash() && stuntsActive()) showStuntPopup("COMBO LOST", '#ff3333');
+    updateStuntCombo();
+}
 
-    scene.add(coinGroup);
-    coins.push({ group: coinGroup, mesh: coinMesh }); 
+function resetStunts() {
+    stunts.reset();
+    updateStuntCombo();
 }
 
-for (let i = 0; i < 100; i++) {
-    let x = (Math.random() - 0.5) * 900;
-    let z = (Math.random() - 0.5) * 900;
-    if (Math.abs(x) < 10 && Math.abs(z) < 10) continue; 
-    createCoin(x, z);
+// Rewrites every instance: all coins share the spin, so they'd all change anyway
+const coinMatrix = new THREE.Matrix4();
+const coinRotation = new THREE.Quaternion();
+const coinEuler = new THREE.Euler();
+const coinScale = new THREE.Vector3(1, 1, 1);
+const coinPosition = new THREE.Vector3();
+function updateCoinInstances() {
+    coinRotation.setFromEuler(coinEuler.set(coinSpin, 0, 0));
+    coins.forEach((coin, i) => {
+        coinMesh.setMatrixAt(i, coinMatrix.compose(coinPosition.set(coin.x, COIN_HEIGHT, coin.z), coinRotation, coinScale));
+        coinIconMesh.setMatrixAt(i, coinMatrix.makeTranslation(coin.x, 20, coin.z));
+    });
+    coinMesh.count = coinIconMesh.count = coins.length;
+    coinMesh.instanceMatrix.needsUpdate = true;
+    coinIconMesh.instanceMatrix.needsUpdate = true;
+}
+
+// ==========================================
+// 10. CHUNK STREAMING
+// ==========================================
+// Each tile is rebuilt from its own seed, so returning to it gives the same layout
+function buildChunk(cx, cz, seed) {
+    const chunk = { meshes: [], bodies: [], footprints: [], geometries: new Map(), cx, cz, seed, roadPieces: [] };
+    const originX = cx * config.chunkSize;
+    const originZ = cz * config.chunkSize;
+
+    const half = config.chunkSize / 2;
+    const minX = originX - half, maxX = originX + half;
+    const minZ = originZ - half, maxZ = originZ + half;
+
+    chunk.roadPieces = createRoads(chunk, minX, minZ, maxX, maxZ);
+
+    // Buildings (each block is owned by the chunk holding its centre)
+    roadNetwork.blocksInRect(minX, minZ, maxX, maxZ).forEach(block => createBlockBuildings(chunk, block));
+    mergeChunkGeometry(chunk);
+
+    scatterCoins(chunk);
+    return chunk;
 }
 
-// Timer Loop
-const gameTimer = setInterval(() => {
-    if (gameActive) {
-        timeLeft--;
-        timerEl.innerText = "TIME: " + timeLeft;
-        if (timeLeft <= 0) endGame();
+// Coins along a chunk's roads; the chunk seed puts them in the same spots every time
+function scatterCoins(chunk) {
+    const rng = createRNG(chunk.seed);
+    const roadPieces = chunk.roadPieces;
+    for (let i = 0; i < 5 && roadPieces.length; i++) {
+        const piece = roadPieces[Math.floor(rng() * roadPieces.length)];
+        const along = (rng() - 0.5) * piece.length;
+        const across = (rng() - 0.5) * piece.edge.width / 2;
+        const x = piece.x + (piece.edge.along === 'x' ? along : across);
+        const z = piece.z + (piece.edge.along === 'z' ? along : across);
+        const id = chunkKey(chunk.cx, chunk.cz) + ':' + i;
+        if (Math.abs(x) < 10 && Math.abs(z) < 10) continue; 
+        sim.coins.add(chunk, id, x, z); // Skipped if it was collected on an earlier visit
     }
-}, 1000);
+}
+
+// Restart: forget what was collected and put every loaded chunk's coins back
+function respawnCoins() {
+    sim.coins.forget();
+    chunkManager.loaded.forEach(({ data }) => {
+        sim.coins.removeOwner(data);
+        scatterCoins(data);
+    });
+}
+
+// Splits a block into a grid of lots with at most one building each, so nothing overlaps.
+// Returns the buildings as { x, z, w, h, d, tint }; the city map draws the same list.
+function blockLots(block) {
+    const rng = createRNG(block.seed);
+    const width = block.maxX - block.minX;
+    const depth = block.maxZ - block.minZ;
+    const lots = [];
+    if (width < 10 || depth < 10) return lots;
+
+    const cols = Math.max(1, Math.round(width / config.lotSize));
+    const rows = Math.max(1, Math.round(depth / config.lotSize));
+    const lotW = width / cols;
+    const lotD = depth / rows;
+    for (let c = 0; c < cols; c++) {
+        for (let r = 0; r < rows; r++) {
+            const w = lotW * rng.range(0.6, 0.9);
+            const d = lotD * rng.range(0.6, 0.9);
+            const h = rng.range(20, 100);
+            const tint = rng.range(0.6, 1.0);
+            const x = block.minX + c * lotW + w / 2 + rng() * (lotW - w);
+            const z = block.minZ + r * lotD + d / 2 + rng() * (lotD - d);
+            if (rng() >= 0.8 * settings.values.buildingDensity) continue; // Empty lot
+            lots.push({ x, z, w, h, d, tint });
+        }
+    }
+    return lots;
+}
+
+function createBlockBuildings(chunk, block) {
+    blockLots(block).forEach(lot => createBuilding(chunk, lot.x, lot.z, lot.w, lot.h, lot.d, lot.tint));
+}
+
+function disposeChunk(chunk) {
+    chunk.meshes.forEach(mesh => {
+        scene.remove(mesh);
+        mesh.geometry.dispose(); // Materials are shared by every tile
+    });
+    chunk.bodies.forEach(body => world.removeBody(body));
+    chunk.footprints.forEach(footprint => buildingGrid.remove(footprint));
+    sim.coins.removeOwner(chunk);
+}
+
+const chunkManager = createChunkManager({
+    size: config.chunkSize,
+    radius: config.chunkRadius,
+    seed: worldSeed,
+    build: buildChunk,
+    dispose: disposeChunk
+});
+chunkManager.update(0, 0); // Build the starting area before the first frame
+
+// Distance culling: tiles wholly beyond the fog can't be seen, so they aren't drawn
+// (each tile is a few merged meshes, so Three.js frustum-culls them per tile too)
+function cullChunks(viewX, viewZ) {
+    const reach = scene.fog.far + config.chunkSize * Math.SQRT1_2;
+    chunkManager.loaded.forEach(({ cx, cz, data }) => {
+        const visible = Math.hypot(cx * config.chunkSize - viewX, cz * config.chunkSize - viewZ) < reach;
+        data.meshes.forEach(mesh => { mesh.visible = visible; });
+    });
+}
+
+// Time Attack clock display (the clock itself runs in simulated seconds in src/session.js)
+function updateTimer(events) {
+    if (session.state.mode !== 'timeAttack') return;
+    const timerText = "TIME: " + Math.ceil(session.state.timeLeft);
+    if (timerEl.innerText !== timerText) timerEl.innerText = timerText;
+    if (events.some(event => event.type === 'timeUp')) endGame();
+}
 
 function endGame() {
-    gameActive = false;
-    clearInterval(gameTimer);
-    gameOverEl.style.display = 'flex';
-    
-    if (score > highScore) {
-        highScore = score;
-        localStorage.setItem('gtaHighScore', highScore);
+    if (splitScreen) {
+        finishVersus();
+        return;
     }
-    finalScoreEl.innerHTML = score + "<br><span style='font-size:20px; color:#aaa'>High Score: " + highScore + "</span>";
-    currentSpeed = 0;
+    setGameState('gameOver');
+    raceEls.title.innerText = "GAME OVER";
+    raceEls.scoreLine.style.display = '';
+    raceEls.results.style.display = 'none';
+    applyStuntEvents(stunts.finish()); // Stunts still in progress count
+    
+    const result = session.finish(worldSeed); // Saves a new high score
+    const seedNote = result.highScoreSeed !== null ? " (Seed " + result.highScoreSeed + ")" : "";
+    finalScoreEl.innerHTML = result.score + "<br><span style='font-size:20px; color:#aaa'>High Score: " + result.highScore + seedNote + "</span>";
+    saveGhost({ score: result.score });
 }
 
 // ==========================================
-// 9. MAIN GAME LOOP
+// 11. AI TRAFFIC
 // ==========================================
-function animate() {
-    requestAnimationFrame(animate);
-    world.fixedStep();
-
-    // World Wrapping Logic
-    const limit = 500; 
-    const buffer = 490;
-    if (boxBody.position.x > limit) boxBody.position.x = -buffer;
-    else if (boxBody.position.x < -limit) boxBody.position.x = buffer;
-    if (boxBody.position.z > limit) boxBody.position.z = -buffer;
-    else if (boxBody.position.z < -limit) boxBody.position.z = buffer;
-
-    // Reset Logic
-    if (keys.r) {
-        boxBody.position.y += 3; 
-        boxBody.quaternion.set(0, 0, 0, 1);
-        boxBody.velocity.set(0, 0, 0);
-        boxBody.angularVelocity.set(0, 0, 0);
-        currentSpeed = 0;
-    }
-
-    // Driving Physics
-    const stats = carConfigs[currentCarIndex]; 
-    if (gameActive) {
-        const isDrifting = keys[' '];
-        const baseTurn = isDrifting ? 0.08 : 0.04; 
-        
-        if (keys.a) carAngle += baseTurn;
-        if (keys.d) carAngle -= baseTurn;
-        boxBody.quaternion.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), carAngle);
-
-        if (keys.w) {
-            if (currentSpeed > -stats.maxSpeed) currentSpeed -= stats.accel;
-        } else if (keys.s) {
-            if (currentSpeed < stats.maxSpeed / 2) currentSpeed += stats.accel;
-        } else {
-            if (Math.abs(currentSpeed) < 0.2) currentSpeed = 0;
-            else currentSpeed += (currentSpeed < 0 ? 0.2 : -0.2); // Friction
+// src/traffic.js steers the agents; here each one gets a car model, a minimap
+// icon and a dynamic body. While an agent drives, its body is moved along with
+// it; once the player (or a wrecked car) hits it, physics takes over for good.
+const trafficSeed = mixSeed(worldSeed, 0x7aff1c, 0);
+const traffic = createTraffic({
+    network: roadNetwork,
+    seed: trafficSeed,
+    maxAgents: config.trafficMax,
+    density: config.trafficDensity,
+    spawnRadius: config.trafficSpawnRadius,
+    despawnRadius: config.trafficDespawnRadius
+});
+const trafficRng = createRNG(mixSeed(trafficSeed, 1, 0));
+const trafficCars = new Map(); // Agent id -> { agent, mesh, icon, body, ... }
+const trafficPaints = [0xcc2222, 0x2255cc, 0xeeeeee, 0x222222, 0x888888, 0xddbb22, 0x22aa55];
+const trafficIconGeo = new THREE.CircleGeometry(3, 8);
+const trafficIconMat = new THREE.MeshBasicMaterial({ color: 0xff3333 });
+
+function spawnTrafficCar(agent) {
+    const def = carConfigs[trafficRng.int(0, carConfigs.length - 1)];
+    const custom = { ...defaultCustomization(def), color: trafficPaints[trafficRng.int(0, trafficPaints.length - 1)] };
+    const mesh = removeCarLights(createCarModel(def, custom));
+    scene.add(mesh);
+
+    // Mini-map Icon
+    const icon = new THREE.Mesh(trafficIconGeo, trafficIconMat);
+    icon.rotation.x = -Math.PI / 2;
+    icon.position.y = 20;
+    scene.add(icon);
+
+    // Chassis box plus a thin slab down at wheel level, so a wrecked car rests on its tyres
+    const rideHeight = def.model.wheels.radius * def.scale - def.collision.modelOffsetY;
+    const half = def.collision.halfExtents;
+    const body = new CANNON.Body({
+        mass: def.handling.mass,
+        material: physicsMaterials.box,
+        position: new CANNON.Vec3(agent.x, rideHeight, agent.z),
+        quaternion: new CANNON.Quaternion().setFromAxisAngle(new CANNON.Vec3(0, 1, 0), agent.heading)
+    });
+    body.addShape(new CANNON.Box(new CANNON.Vec3(...half)));
+    body.addShape(new CANNON.Box(new CANNON.Vec3(half[0], 0.1, half[2])), new CANNON.Vec3(0, 0.1 - rideHeight, 0));
+    world.addBody(body);
+
+    const car = {
+        agent, mesh, icon, body,
+        hit: false,
+        wheelSpin: 0,
+        wheelRadius: def.model.wheels.radius * def.scale,
+        rideHeight,
+        prevPosition: body.position.clone(),
+        prevQuaternion: body.quaternion.clone()
+    };
+    body.addEventListener('collide', (e) => {
+        const other = [...trafficCars.values()].find(c => c.body === e.body);
+        if (e.body === sim.player.body || (playerTwo && e.body === playerTwo.car.body) || (other && other.agent.wrecked)) car.hit = true;
+    });
+    trafficCars.set(agent.id, car);
+}
+
+function removeTrafficCar(agent) {
+    const car = trafficCars.get(agent.id);
+    if (!car) return;
+    scene.remove(car.mesh);
+    scene.remove(car.icon);
+    disposeModel(car.mesh);
+    world.removeBody(car.body);
+    trafficCars.delete(agent.id);
+}
+
+// Call after teleporting the player so nobody is left parked (or standing) on top of them
+function clearTraffic() {
+    traffic.clear().forEach(removeTrafficCar);
+    pedestrians.clear().forEach(removePedestrian);
+}
+
+// Before the physics step: driving agents carry their bodies along with them
+function syncTrafficBodies() {
+    trafficCars.forEach(car => {
+        car.prevPosition.copy(car.body.position);
+        car.prevQuaternion.copy(car.body.quaternion);
+        const { agent, body } = car;
+        if (agent.wrecked) return;
+        body.position.set(agent.x, car.rideHeight, agent.z);
+        body.velocity.set(-Math.sin(agent.heading) * agent.speed, 0, -Math.cos(agent.heading) * agent.speed);
+        body.quaternion.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), agent.heading);
+        body.angularVelocity.set(0, agent.turnRate, 0);
+    });
+}
+
+// After the physics step: wreck anything that got hit, then let the AI drive
+function updateTraffic(dt) {
+    trafficCars.forEach(car => {
+        const { agent, body } = car;
+        if (car.hit && !agent.wrecked) {
+            agent.wrecked = true;
+            agent.speed = 0;
+            body.linearDamping = 0.3;
+            body.angularDamping = 0.3;
         }
-    } else {
-        currentSpeed *= 0.95; // Game over friction
-    }
+        if (agent.wrecked) {
+            agent.x = body.position.x;
+            agent.z = body.position.z;
+        }
+        car.wheelSpin += agent.speed * dt / car.wheelRadius;
+    });
 
-    // Apply Velocity
-    const targetVx = Math.sin(carAngle) * currentSpeed;
-    const targetVz = Math.cos(carAngle) * currentSpeed;
-    const grip = keys[' '] ? 0.02 : stats.grip; 
-    
-    boxBody.velocity.x = THREE.MathUtils.lerp(boxBody.velocity.x, targetVx, grip);
-    boxBody.velocity.z = THREE.MathUtils.lerp(boxBody.velocity.z, targetVz, grip);
-    boxBody.velocity.y = boxBody.velocity.y; // Preserve gravity
-
-    // Sync Visuals
-    carMesh.position.copy(boxBody.position);
-    carMesh.position.y -= 0.6; 
-    carMesh.quaternion.copy(boxBody.quaternion);
-
-    // Coin Collision
-    if (gameActive) {
-        for (let i = 0; i < coins.length; i++) {
-            const coinObj = coins[i];
-            coinObj.mesh.rotation.x += 0.05;
-            if (carMesh.position.distanceTo(coinObj.group.position) < 3) { 
-                scene.remove(coinObj.group);
-                coins.splice(i, 1);
-                i--; 
-                score += 10;
-                scoreEl.innerHTML = "SCORE: " + score;
+    const { spawned, removed } = traffic.update(dt, playerPoints());
+    removed.forEach(removeTrafficCar);
+    spawned.forEach(spawnTrafficCar);
+}
+
+function renderTraffic(alpha) {
+    trafficCars.forEach(car => {
+        const p0 = car.prevPosition, p1 = car.body.position;
+        car.mesh.position.set(p0.x + (p1.x - p0.x) * alpha, p0.y + (p1.y - p0.y) * alpha, p0.z + (p1.z - p0.z) * alpha);
+        renderQuatA.set(car.prevQuaternion.x, car.prevQuaternion.y, car.prevQuaternion.z, car.prevQuaternion.w);
+        renderQuatB.set(car.body.quaternion.x, car.body.quaternion.y, car.body.quaternion.z, car.body.quaternion.w);
+        car.mesh.quaternion.slerpQuaternions(renderQuatA, renderQuatB, alpha);
+        car.mesh.translateY(car.mesh.userData.offsetY);
+        car.mesh.userData.wheels.forEach(wheel => { wheel.mesh.rotation.x = -car.wheelSpin; });
+        car.icon.position.x = car.mesh.position.x;
+        car.icon.position.z = car.mesh.position.z;
+    });
+}
+
+// Pedestrians: src/pedestrians.js walks them round the blocks and throws the ones
+// that get hit; here each is a box figure with swinging legs (no physics body).
+const pedestrians = createPedestrians({
+    network: roadNetwork,
+    seed: mixSeed(worldSeed, 0x9ed517, 0),
+    maxAgents: config.pedestrianMax,
+    density: config.pedestrianDensity,
+    spawnRadius: config.pedestrianSpawnRadius,
+    despawnRadius: config.pedestrianDespawnRadius
+});
+const pedestrianRng = createRNG(mixSeed(worldSeed, 0x9ed517, 1));
+const pedestrianFigures = new Map(); // Agent id -> { agent, mesh, legs, prev }
+const legGeo = new THREE.BoxGeometry(0.18, 0.8, 0.18).translate(0, -0.4, 0); // Pivots at the hip
+const torsoGeo = new THREE.BoxGeometry(0.5, 0.7, 0.3);
+const headGeo = new THREE.BoxGeometry(0.25, 0.28, 0.25);
+const pedestrianMats = {
+    clothes: [0xcc3333, 0x3355aa, 0x44aa66, 0xdddddd, 0x333333, 0xe0a030].map(color => new THREE.MeshStandardMaterial({ color, roughness: 0.9 })),
+    skin: [0xf1c27d, 0xc68642, 0x8d5524].map(color => new THREE.MeshStandardMaterial({ color, roughness: 0.8 })),
+    trousers: [0x222244, 0x444444, 0x5a4030].map(color => new THREE.MeshStandardMaterial({ color, roughness: 0.9 }))
+};
+const pickMat = (list) => list[pedestrianRng.int(0, list.length - 1)];
+
+function spawnPedestrian(agent) {
+    const mesh = new THREE.Group();
+    mesh.rotation.order = 'YXZ'; // Heading first, then falling over
+    const trousers = pickMat(pedestrianMats.trousers);
+    const legs = [-0.12, 0.12].map(x => {
+        const leg = new THREE.Mesh(legGeo, trousers);
+        leg.position.set(x, 0.8, 0);
+        leg.castShadow = true;
+        mesh.add(leg);
+        return leg;
+    });
+    const torso = new THREE.Mesh(torsoGeo, pickMat(pedestrianMats.clothes));
+    torso.position.y = 1.15;
+    torso.castShadow = true;
+    const head = new THREE.Mesh(headGeo, pickMat(pedestrianMats.skin));
+    head.position.y = 1.65;
+    mesh.add(torso, head);
+    scene.add(mesh);
+    pedestrianFigures.set(agent.id, { agent, mesh, legs, prev: { x: agent.x, y: agent.y, z: agent.z } });
+}
+
+// Geometries and materials are shared by every figure, so there's nothing to dispose
+function removePedestrian(agent) {
+    const figure = pedestrianFigures.get(agent.id);
+    if (!figure) return;
+    scene.remove(figure.mesh);
+    pedestrianFigures.delete(agent.id);
+}
+
+function updatePedestrians(dt) {
+    pedestrianFigures.forEach(({ agent, prev }) => {
+        prev.x = agent.x;
+        prev.y = agent.y;
+        prev.z = agent.z;
+    });
+    const { spawned, removed, hits } = pedestrians.update(dt, playerPoints());
+    removed.forEach(removePedestrian);
+    spawned.forEach(spawnPedestrian);
+    hits.forEach(hit => audio.impact(hit.speed));
+}
+
+function renderPedestrians(alpha) {
+    pedestrianFigures.forEach(({ agent, mesh, legs, prev }) => {
+        mesh.position.set(prev.x + (agent.x - prev.x) * alpha, prev.y + (agent.y - prev.y) * alpha, prev.z + (agent.z - prev.z) * alpha);
+        mesh.rotation.y = agent.heading;
+        mesh.rotation.x = agent.fall * Math.PI / 2; // Flat on their back
+        const swing = agent.fall ? 0 : Math.sin(agent.stride * 2.5) * 0.5;
+        legs[0].rotation.x = swing;
+        legs[1].rotation.x = -swing;
+    });
+}
+
+// ==========================================
+// 12. RACE MODE & START MENU
+// ==========================================
+const bestLaps = createBestLaps();
+const raceEls = {
+    split: document.getElementById('split'),
+    wrongWay: document.getElementById('wrong-way'),
+    results: document.getElementById('race-results'),
+    title: document.getElementById('game-over-title'),
+    scoreLine: document.getElementById('final-score-line')
+};
+let raceRoute = null;
+let lapTracker = null;
+let raceTime = 0;
+let raceGates = [];
+let splitTimeout = null;
+
+// Best laps depend on the road layout, so they're kept per track *and* seed
+const trackKey = (track) => track.id + '@' + worldSeed;
+
+const gateMat = new THREE.MeshStandardMaterial({ color: 0x00ccff, emissive: 0x0066aa, transparent: true, opacity: 0.6 });
+const nextGateMat = new THREE.MeshStandardMaterial({ color: 0x33ff33, emissive: 0x22aa22 });
+const startGateMat = new THREE.MeshStandardMaterial({ color: 0xffffff, emissive: 0x888888 });
+
+function createGate(gate) {
+    const group = new THREE.Group();
+    group.position.set(gate.x, 0, gate.z);
+    group.rotation.y = Math.atan2(gate.dirX, gate.dirZ); // Local Z runs along the road
+    const mat = gate.index === 0 ? startGateMat : gateMat;
+
+    [-1, 1].forEach(side => {
+        const post = new THREE.Mesh(new THREE.BoxGeometry(0.5, 6, 0.5), mat);
+        post.position.set(side * gate.halfWidth, 3, 0);
+        post.castShadow = true;
+        group.add(post);
+    });
+    const banner = new THREE.Mesh(new THREE.BoxGeometry(gate.halfWidth * 2, 1, 0.3), mat);
+    banner.position.y = 6;
+    group.add(banner);
+
+    // Mini-map Icon
+    const mapIcon = new THREE.Mesh(new THREE.CircleGeometry(5, 12), mat);
+    mapIcon.rotation.x = -Math.PI / 2;
+    mapIcon.position.y = 20;
+    group.add(mapIcon);
+
+    scene.add(group);
+    return { group, parts: group.children, baseMat: mat };
+}
+
+function clearGates() {
+    raceGates.forEach(gate => {
+        scene.remove(gate.group);
+        gate.parts.forEach(part => part.geometry.dispose());
+    });
+    raceGates = [];
+}
+
+function highlightNextGate(tracker = lapTracker) {
+    raceGates.forEach((gate, i) => {
+        const mat = i === tracker.state.nextGate ? nextGateMat : gate.baseMat;
+        gate.parts.forEach(part => { part.material = mat; });
+    });
+}
+
+function placeCar(x, z, angle) {
+    sim.player.place(x, 3, z, angle);
+    clearTraffic();
+}
+
+function setupRace(track) {
+    clearGates();
+    raceRoute = buildRoute(roadNetwork, track);
+    lapTracker = createLapTracker(raceRoute, { laps: config.raceLaps });
+    raceTime = 0;
+    raceGates = raceRoute.gates.map(createGate);
+    highlightNextGate();
+    placeCar(raceRoute.start.x, raceRoute.start.z, raceRoute.start.angle);
+    scoreEl.innerHTML = "LAP 0/" + config.raceLaps;
+    timerEl.innerText = formatRaceTime(0);
+}
+
+function showSplit(text, color) {
+    raceEls.split.innerText = text;
+    raceEls.split.style.color = color;
+    raceEls.split.style.display = 'block';
+    clearTimeout(splitTimeout);
+    splitTimeout = setTimeout(() => { raceEls.split.style.display = 'none'; }, 2500);
+}
+
+function formatDelta(delta) {
+    return (delta >= 0 ? '+' : '-') + Math.abs(delta).toFixed(2);
+}
+
+function updateRace(dt, driving) {
+    if (gameState !== 'playing') return;
+    if (driving) raceTime += dt;
+
+    const v = sim.player.body.velocity;
+    const events = lapTracker.update(sim.player.body.position.x, sim.player.body.position.z, v.x, v.z, raceTime, dt);
+    const vehicleId = carConfigs[currentCarIndex].id;
+    const key = trackKey(raceRoute.track);
+
+    events.forEach(event => {
+        const best = bestLaps.get(key, vehicleId);
+        if (event.type === 'gate') {
+            const bestSplit = best && best.splits[event.gate - 1];
+            if (bestSplit !== undefined && bestSplit !== null) {
+                const delta = event.split - bestSplit;
+                showSplit(formatDelta(delta), delta <= 0 ? '#33ff33' : '#ff3333');
             }
+        } else if (event.type === 'lap') {
+            const isBest = bestLaps.submit(key, vehicleId, event);
+            if (isBest) showSplit("BEST LAP " + formatRaceTime(event.time), '#ffaa00');
+            else showSplit("LAP " + formatRaceTime(event.time) + " (" + formatDelta(event.time - best.time) + ")", '#ff3333');
+        } else if (event.type === 'finish') {
+            finishRace(event.lapTimes);
         }
+    });
+    if (events.length) highlightNextGate();
+
+    const state = lapTracker.state;
+    const lapText = "LAP " + Math.min(Math.max(state.lap, 0), config.raceLaps) + "/" + config.raceLaps;
+    if (scoreEl.innerHTML !== lapText) scoreEl.innerHTML = lapText;
+    const clock = formatRaceTime(state.lap > 0 ? raceTime - state.lapStart : 0);
+    if (timerEl.innerText !== clock) timerEl.innerText = clock;
+    raceEls.wrongWay.style.display = state.wrongWay ? 'block' : 'none';
+}
+
+function finishRace(lapTimes) {
+    setGameState('gameOver');
+    raceEls.wrongWay.style.display = 'none';
+    const def = carConfigs[currentCarIndex];
+    const best = bestLaps.get(trackKey(raceRoute.track), def.id);
+    const fastest = Math.min(...lapTimes);
+
+    raceEls.title.innerText = "RACE COMPLETE";
+    raceEls.scoreLine.style.display = 'none';
+    raceEls.results.innerHTML =
+        "<p>" + raceRoute.track.name + " &middot; " + def.name + "</p>" +
+        lapTimes.map((time, i) => "<div" + (time === fastest ? " style='color:#ffaa00'" : "") + ">LAP " + (i + 1) + ": " + formatRaceTime(time) + "</div>").join('') +
+        "<p>TOTAL: " + formatRaceTime(lapTimes.reduce((a, b) => a + b, 0)) + "<br>" +
+        "<span style='font-size:20px; color:#aaa'>Best Lap: " + formatRaceTime(best.time) + "</span></p>";
+    raceEls.results.style.display = 'block';
+    saveGhost({ time: lapTimes.reduce((a, b) => a + b, 0) });
+}
+
+// Start Menu
+const startMenuEl = document.getElementById('start-menu');
+const trackSelect = document.getElementById('menu-track');
+const weatherSelect = document.getElementById('menu-weather');
+const menuBestEl = document.getElementById('menu-best');
+
+TRACKS.forEach((track, i) => {
+    const option = document.createElement('option');
+    option.value = i;
+    option.innerText = track.name;
+    trackSelect.appendChild(option);
+});
+
+function refreshMenuBest() {
+    const track = TRACKS[Number(trackSelect.value)];
+    const def = carConfigs[currentCarIndex];
+    const best = bestLaps.get(trackKey(track), def.id);
+    menuBestEl.innerText = best ? "BEST LAP (" + def.name + "): " + formatRaceTime(best.time) : "NO LAP SET YET (" + def.name + ")";
+}
+trackSelect.addEventListener('change', refreshMenuBest);
+refreshMenuBest();
+
+// withGarage: open the garage before the clock starts (skipped on restarts)
+function startRun(mode, withGarage = true) {
+    session.start(mode);
+    setGameState('playing');
+    resetStunts();
+    repairCar(false);
+    weather.set(weatherSelect.value);
+    setCoinsVisible(mode !== 'race');
+
+    if (mode === 'race') {
+        setupRace(TRACKS[Number(trackSelect.value)]);
+    } else {
+        clearGates();
+        scoreEl.innerHTML = "SCORE: 0";
+        timerEl.innerText = "TIME: " + session.state.timeLeft;
     }
+    if (playersSelect.value === '2') startSplitScreen();
+    else stopSplitScreen();
+    startGhost();
+    if (withGarage && !splitScreen) openGarage(); // Pick paint and tuning before the clock starts
+}
 
-    // --- RENDER PIPELINE ---
-    renderer.setScissorTest(true);
+document.getElementById('menu-time-attack').addEventListener('click', () => startRun('timeAttack'));
+document.getElementById('menu-race').addEventListener('click', () => startRun('race'));
+
+// Game State: menu -> playing <-> paused, playing <-> map, playing -> gameOver ->
+// playing (restart) or back to the menu. Paused and map freeze physics, timers, input and sound.
+const pauseMenuEl = document.getElementById('pause-menu');
+const mapScreenEl = document.getElementById('map-screen');
+
+function setGameState(state) {
+    gameState = state;
+    startMenuEl.style.display = state === 'menu' ? 'flex' : 'none';
+    pauseMenuEl.style.display = state === 'paused' ? 'flex' : 'none';
+    gameOverEl.style.display = state === 'gameOver' ? 'flex' : 'none';
+    mapScreenEl.style.display = state === 'map' ? 'block' : 'none';
+    audio.setPaused(state === 'paused' || state === 'map');
+    input.release();
+    playerTwoInput.release();
+}
 
-    // 1. Main Camera Render
-    renderer.setViewport(0, 0, window.innerWidth, window.innerHeight);
-    renderer.setScissor(0, 0, window.innerWidth, window.innerHeight);
-    
-    // Camera Follow Logic
-    if (cameraMode === 0) { // Third Person
+function pauseGame() {
+    if (gameState !== 'playing') return;
+    setGameState('paused');
+    document.getElementById('pause-garage').style.display = garageAllowed() && !garageOpen ? '' : 'none';
+}
+
+function resumeGame() {
+    if (gameState === 'paused') setGameState('playing');
+}
+
+// Same mode again without reloading: fresh coins, a repaired car back at the start
+function restartRun() {
+    closeGarage();
+    respawnCoins();
+    damage.repair();
+    spawnCar(currentCarIndex);
+    updateHealthBar();
+    if (session.state.mode === 'timeAttack') placeCar(0, 0, 0);
+    startRun(session.state.mode, false); // Races are put back on the grid by setupRace
+}
+
+function quitToMenu() {
+    closeGarage();
+    session.quit();
+    clearGates();
+    raceEls.wrongWay.style.display = 'none';
+    removeGhost();
+    ghostReplay = null;
+    clearWaypoint();
+    stopSplitScreen();
+    resetStunts();
+    setCoinsVisible(true);
+    refreshMenuBest();
+    setGameState('menu');
+}
+
+document.getElementById('pause-resume').addEventListener('click', resumeGame);
+document.getElementById('pause-garage').addEventListener('click', () => {
+    resumeGame();
+    openGarage();
+});
+document.getElementById('pause-restart').addEventListener('click', restartRun);
+document.getElementById('pause-settings').addEventListener('click', openSettings);
+document.getElementById('pause-quit').addEventListener('click', quitToMenu);
+document.getElementById('restart-btn').addEventListener('click', restartRun);
+document.getElementById('game-over-menu').addEventListener('click', quitToMenu);
+
+// ==========================================
+// 13. GHOST REPLAYS
+// ==========================================
+// Every run is recorded; the best one per mode / track / seed is kept and
+// replayed as a see-through car with no physics body on later runs.
+const ghostStore = createGhostStore();
+const ghostNoteEl = document.getElementById('ghost-note');
+const ghostExportBtn = document.getElementById('ghost-export');
+const menuGhostEl = document.getElementById('menu-ghost');
+const ghostFileInput = document.getElementById('ghost-file');
+let runTime = 0;        // Seconds of driving this run (the clock both recorder and ghost run on)
+let prevRunTime = 0;    // runTime at the previous fixed step, for render interpolation
+let recorder = null;
+let ghostReplay = null; // Unpacked replay being played back
+let ghostMesh = null;
+let ghostVehicle = null;
+
+function ghostKey() {
+    return session.state.mode === 'race' ? 'race:' + trackKey(raceRoute.track) : 'timeAttack@' + worldSeed;
+}
+
+// Same model as the player's car, minus lights and shadows, with every material see-through
+function createGhostModel(def) {
+    const model = removeCarLights(createCarModel(def));
+    model.traverse(child => {
+        if (!child.isMesh) return;
+        child.castShadow = false;
+        child.material = child.material.clone();
+        child.material.transparent = true;
+        child.material.opacity = config.ghostOpacity;
+        child.material.depthWrite = false;
+    });
+    return model;
+}
+
+function removeGhost() {
+    if (!ghostMesh) return;
+    scene.remove(ghostMesh);
+    disposeModel(ghostMesh);
+    ghostMesh = null;
+    ghostVehicle = null;
+}
+
+function startGhost() {
+    ghostNoteEl.innerText = "";
+    ghostExportBtn.style.display = 'none';
+    runTime = 0;
+    prevRunTime = 0;
+    recorder = createRecorder(config.ghostRate);
+    removeGhost();
+    const packed = splitScreen ? null : ghostStore.get(ghostKey()); // Ghosts are single-player records
+    try {
+        ghostReplay = packed ? unpackReplay(packed) : null;
+    } catch (err) {
+        ghostReplay = null;
+        showSplit("SAVED GHOST IS BROKEN", '#aaa');
+    }
+}
+
+function updateGhost(time) {
+    const frame = ghostReplay && sampleReplay(ghostReplay, time);
+    const def = frame && carConfigs.find(d => d.id === frame.vehicle);
+    if (!def) {
+        removeGhost(); // Replay over, or recorded with a car we don't have
+        return;
+    }
+    if (ghostVehicle !== def.id) {
+        removeGhost();
+        ghostMesh = createGhostModel(def);
+        ghostVehicle = def.id;
+        scene.add(ghostMesh);
+    }
+    ghostMesh.position.set(frame.x, frame.y, frame.z);
+    ghostMesh.rotation.set(0, frame.angle, 0);
+    ghostMesh.translateY(ghostMesh.userData.offsetY);
+}
+
+// Called with the run's result ({ score } or { time }) when a run ends
+function saveGhost(result) {
+    if (splitScreen || !recorder || !recorder.frames.length) return;
+    const packed = packReplay({
+        key: ghostKey(),
+        mode: session.state.mode,
+        seed: worldSeed,
+        track: session.state.mode === 'race' ? raceRoute.track.id : null,
+        result
+    }, recorder);
+    try {
+        ghostNoteEl.innerText = ghostStore.submit(packed) ? "NEW BEST GHOST SAVED" : "";
+    } catch (err) {
+        ghostNoteEl.innerText = "COULD NOT SAVE GHOST: " + err.message;
+    }
+    ghostExportBtn.style.display = 'inline-block';
+}
+
+ghostExportBtn.addEventListener('click', () => {
+    const packed = ghostStore.get(ghostKey());
+    if (!packed) return;
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(packed)], { type: 'application/json' }));
+    link.download = 'ghost-' + packed.key.replace(/[^a-z0-9-]+/gi, '_') + '.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000); // Revoking straight away can cancel the download
+});
+
+// Imported ghosts replace the local one for their mode / track / seed
+document.getElementById('menu-import').addEventListener('click', () => ghostFileInput.click());
+ghostFileInput.addEventListener('change', async () => {
+    const file = ghostFileInput.files[0];
+    ghostFileInput.value = '';
+    if (!file) return;
+    try {
+        const packed = JSON.parse(await file.text());
+        unpackReplay(packed);
+        ghostStore.submit(packed, true);
+        menuGhostEl.innerText = packed.seed === worldSeed
+            ? "GHOST IMPORTED"
+            : "GHOST IMPORTED FOR SEED " + packed.seed + " (open ?seed=" + packed.seed + " to race it)";
+    } catch (err) {
+        menuGhostEl.innerText = "COULD NOT IMPORT GHOST: " + err.message;
+    }
+});
+
+// ==========================================
+// 14. CITY MAP & GPS
+// ==========================================
+// The full-screen map is drawn on a 2D canvas straight from the road network,
+// so it shows the city well past the loaded tiles. A waypoint set there is
+// routed along the roads (src/gps.js) and drawn on the minimap.
+const mapCanvas = document.getElementById('map-canvas');
+const mapCtx = mapCanvas.getContext('2d');
+const gpsEl = document.getElementById('gps');
+const minimapNorthEl = document.getElementById('minimap-north');
+const mapView = { x: 0, z: 0, scale: 1 }; // World point at the screen centre, pixels per metre
+let waypoint = null; // { x, z } on a road centre line
+let gpsRoute = null; // { points, length } from the car to the waypoint
+let gpsTimer = 0;
+let mapDrag = null;
+
+// Minimap only: the map camera also sees layer 2, the main camera doesn't
+mapCamera.layers.enable(2);
+const routeMesh = new THREE.Mesh(
+    new THREE.BufferGeometry(),
+    new THREE.MeshBasicMaterial({ color: 0x4da6ff, side: THREE.DoubleSide, depthTest: false })
+);
+const waypointGeo = new THREE.CircleGeometry(7, 16);
+waypointGeo.rotateX(-Math.PI / 2);
+const waypointMesh = new THREE.Mesh(waypointGeo, new THREE.MeshBasicMaterial({ color: 0xff3355, depthTest: false }));
+[routeMesh, waypointMesh].forEach((mesh, i) => {
+    mesh.layers.set(2);
+    mesh.renderOrder = 10 + i; // Over the buildings, pin over the line
+    mesh.frustumCulled = false;
+    mesh.visible = false;
+    scene.add(mesh);
+});
+
+function formatDistance(metres) {
+    return metres < 1000 ? Math.round(metres / 10) * 10 + " m" : (metres / 1000).toFixed(1) + " km";
+}
+
+// Flat ribbon along the route; each piece overlaps the next by half a width so corners are filled
+function updateRouteMesh() {
+    const positions = [];
+    const half = 3;
+    const points = gpsRoute ? gpsRoute.points : [];
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1], b = points[i];
+        const length = Math.hypot(b.x - a.x, b.z - a.z);
+        if (!length) continue;
+        const dx = (b.x - a.x) / length * half, dz = (b.z - a.z) / length * half;
+        const ax = a.x - dx, az = a.z - dz, bx = b.x + dx, bz = b.z + dz;
+        positions.push(
+            ax - dz, 25, az + dx, ax + dz, 25, az - dx, bx - dz, 25, bz + dx,
+            bx - dz, 25, bz + dx, ax + dz, 25, az - dx, bx + dz, 25, bz - dx
+        );
+    }
+    routeMesh.geometry.dispose();
+    routeMesh.geometry = new THREE.BufferGeometry();
+    routeMesh.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    routeMesh.visible = positions.length > 0;
+    waypointMesh.visible = !!waypoint;
+    if (waypoint) waypointMesh.position.set(waypoint.x, 26, waypoint.z);
+
+    gpsEl.style.display = gpsRoute ? 'block' : 'none';
+    if (gpsRoute) gpsEl.innerText = "📍 " + formatDistance(gpsRoute.length);
+}
+
+function updateRoute() {
+    gpsTimer = 0;
+    gpsRoute = waypoint ? findRoute(roadNetwork, { x: sim.player.body.position.x, z: sim.player.body.position.z }, waypoint) : null;
+    updateRouteMesh();
+}
+
+// Waypoints snap to the nearest road, so the route always ends somewhere drivable
+function setWaypoint(x, z) {
+    const point = roadNetwork.nearestRoadPoint(x, z);
+    waypoint = { x: point.x, z: point.z };
+    updateRoute();
+}
+
+function clearWaypoint() {
+    waypoint = null;
+    updateRoute();
+}
+
+// Called every physics step: re-route as the car moves, and stop at the destination
+function updateGps(dt) {
+    if (!waypoint || gameState !== 'playing') return;
+    if (Math.hypot(sim.player.body.position.x - waypoint.x, sim.player.body.position.z - waypoint.z) < config.gpsArrival) {
+        clearWaypoint();
+        showSplit("DESTINATION REACHED", '#4da6ff');
+        audio.coin();
+        return;
+    }
+    gpsTimer += dt;
+    if (gpsTimer >= config.gpsRefresh) updateRoute();
+}
+
+// The minimap turns with the car (which always points up), so north swings around its edge
+function updateMinimapNorth(el, viewAngle) {
+    const radius = minimapSize() / 2 - 12;
+    el.style.left = (minimapSize() / 2 + Math.sin(viewAngle) * radius) + 'px';
+    el.style.top = (minimapSize() / 2 - Math.cos(viewAngle) * radius) + 'px';
+}
+
+// Screen (CSS pixels) <-> world, north (-Z) up
+function mapToWorld(px, py) {
+    return {
+        x: mapView.x + (px - window.innerWidth / 2) / mapView.scale,
+        z: mapView.z + (py - window.innerHeight / 2) / mapView.scale
+    };
+}
+
+function drawMap() {
+    const width = window.innerWidth, height = window.innerHeight;
+    const ratio = window.devicePixelRatio || 1;
+    if (mapCanvas.width !== Math.round(width * ratio) || mapCanvas.height !== Math.round(height * ratio)) {
+        mapCanvas.width = Math.round(width * ratio);
+        mapCanvas.height = Math.round(height * ratio);
+    }
+    const ctx = mapCtx;
+    const scale = mapView.scale;
+    const sx = (x) => width / 2 + (x - mapView.x) * scale;
+    const sy = (z) => height / 2 + (z - mapView.z) * scale;
+    const topLeft = mapToWorld(0, 0), bottomRight = mapToWorld(width, height);
+    const pad = roadNetwork.spacing * 1.5; // Blocks and crossings centred just off screen still show
+    const minX = topLeft.x - pad, minZ = topLeft.z - pad, maxX = bottomRight.x + pad, maxZ = bottomRight.z + pad;
+
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.fillStyle = '#2f4a2a';
+    ctx.fillRect(0, 0, width, height);
+
+    // Roads: the strips between crossings, then the crossings themselves
+    ctx.fillStyle = '#555555';
+    roadNetwork.edgesInRect(minX, minZ, maxX, maxZ).forEach(edge => {
+        const half = edge.width / 2;
+        if (edge.along === 'z') ctx.fillRect(sx(edge.x0 - half), sy(edge.z0), edge.width * scale, (edge.z1 - edge.z0) * scale);
+        else ctx.fillRect(sx(edge.x0), sy(edge.z0 - half), (edge.x1 - edge.x0) * scale, edge.width * scale);
+    });
+    roadNetwork.nodesInRect(minX, minZ, maxX, maxZ).forEach(node => {
+        ctx.fillRect(sx(node.x - node.sizeX / 2), sy(node.z - node.sizeZ / 2), node.sizeX * scale, node.sizeZ * scale);
+    });
+
+    // Building footprints (too small to matter when zoomed far out)
+    if (scale >= 0.4) {
+        roadNetwork.blocksInRect(minX, minZ, maxX, maxZ).forEach(block => {
+            blockLots(block).forEach(lot => {
+                const shade = Math.round(120 + lot.tint * 80);
+                ctx.fillStyle = 'rgb(' + shade + ',' + shade + ',' + (shade + 10) + ')';
+                ctx.fillRect(sx(lot.x - lot.w / 2), sy(lot.z - lot.d / 2), lot.w * scale, lot.d * scale);
+            });
+        });
+    }
+
+    // Objectives: coins in Time Attack, gates in a race (the next one in green)
+    if (coinMesh.visible) {
+        ctx.fillStyle = '#ffd700';
+        coins.forEach(coin => {
+            ctx.beginPath();
+            ctx.arc(sx(coin.x), sy(coin.z), Math.max(2.5, 1.5 * scale), 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+    if (session.state.mode === 'race' && raceRoute) {
+        ctx.lineWidth = 4;
+        raceRoute.gates.forEach(gate => {
+            const nextGate = gate.index === lapTracker.state.nextGate;
+            ctx.strokeStyle = nextGate ? '#33ff33' : gate.index === 0 ? '#ffffff' : '#00ccff';
+            ctx.beginPath();
+            ctx.moveTo(sx(gate.x - gate.dirZ * gate.halfWidth), sy(gate.z + gate.dirX * gate.halfWidth));
+            ctx.lineTo(sx(gate.x + gate.dirZ * gate.halfWidth), sy(gate.z - gate.dirX * gate.halfWidth));
+            ctx.stroke();
+        });
+    }
+
+    // Route and waypoint pin
+    if (gpsRoute) {
+        ctx.strokeStyle = '#4da6ff';
+        ctx.lineWidth = Math.max(3, 6 * scale);
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        gpsRoute.points.forEach((point, i) => {
+            if (i) ctx.lineTo(sx(point.x), sy(point.z));
+            else ctx.moveTo(sx(point.x), sy(point.z));
+        });
+        ctx.stroke();
+    }
+    if (waypoint) {
+        ctx.fillStyle = '#ff3355';
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(sx(waypoint.x), sy(waypoint.z) - 14, 7, Math.PI * 0.8, Math.PI * 2.2);
+        ctx.lineTo(sx(waypoint.x), sy(waypoint.z));
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    // Player arrow, pointing along the car's heading
+    const px = sx(sim.player.body.position.x), py = sy(sim.player.body.position.z);
+    const fx = -Math.sin(sim.player.state.heading), fz = -Math.cos(sim.player.state.heading);
+    ctx.fillStyle = '#00ff00';
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(px + fx * 12, py + fz * 12);
+    ctx.lineTo(px - fx * 8 + fz * 8, py - fz * 8 - fx * 8);
+    ctx.lineTo(px - fx * 4, py - fz * 4);
+    ctx.lineTo(px - fx * 8 - fz * 8, py - fz * 8 + fx * 8);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+}
+
+function openMap() {
+    mapView.x = sim.player.body.position.x;
+    mapView.z = sim.player.body.position.z;
+    setGameState('map');
+    drawMap();
+}
+
+function closeMap() {
+    if (gameState === 'map') setGameState('playing');
+}
+
+// Zoom about a screen point, which stays over the same spot in the world
+function zoomMap(factor, px = window.innerWidth / 2, py = window.innerHeight / 2) {
+    const anchor = mapToWorld(px, py);
+    const [min, max] = config.mapZoom;
+    mapView.scale = Math.min(max, Math.max(min, mapView.scale * factor));
+    mapView.x = anchor.x - (px - window.innerWidth / 2) / mapView.scale;
+    mapView.z = anchor.z - (py - window.innerHeight / 2) / mapView.scale;
+    drawMap();
+}
+
+// Drag pans; a press that doesn't move sets the waypoint
+mapCanvas.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0) return;
+    mapCanvas.setPointerCapture(e.pointerId);
+    mapDrag = { x: e.clientX, y: e.clientY, viewX: mapView.x, viewZ: mapView.z, moved: false };
+});
+mapCanvas.addEventListener('pointermove', (e) => {
+    if (!mapDrag) return;
+    const dx = e.clientX - mapDrag.x, dy = e.clientY - mapDrag.y;
+    if (Math.hypot(dx, dy) > 5) mapDrag.moved = true;
+    if (!mapDrag.moved) return;
+    mapView.x = mapDrag.viewX - dx / mapView.scale;
+    mapView.z = mapDrag.viewZ - dy / mapView.scale;
+    drawMap();
+});
+mapCanvas.addEventListener('pointerup', (e) => {
+    if (!mapDrag) return;
+    if (!mapDrag.moved) {
+        const point = mapToWorld(e.clientX, e.clientY);
+        setWaypoint(point.x, point.z);
+        drawMap();
+    }
+    mapDrag = null;
+});
+mapCanvas.addEventListener('pointercancel', () => { mapDrag = null; });
+mapCanvas.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    zoomMap(e.deltaY < 0 ? 1.25 : 0.8, e.clientX, e.clientY);
+}, { passive: false });
+mapCanvas.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    clearWaypoint();
+    drawMap();
+});
+window.addEventListener('resize', () => { if (gameState === 'map') drawMap(); });
+
+document.getElementById('map-zoom-in').addEventListener('click', () => zoomMap(1.5));
+document.getElementById('map-zoom-out').addEventListener('click', () => zoomMap(1 / 1.5));
+document.getElementById('map-center').addEventListener('click', () => {
+    mapView.x = sim.player.body.position.x;
+    mapView.z = sim.player.body.position.z;
+    drawMap();
+});
+document.getElementById('map-clear').addEventListener('click', () => {
+    clearWaypoint();
+    drawMap();
+});
+document.getElementById('map-close').addEventListener('click', closeMap);
+
+// ==========================================
+// 15. SPLIT-SCREEN
+// ==========================================
+// Two players on one screen. Player one keeps their controls and the left
+// half; player two gets the right half, the arrow keys (or a second gamepad)
+// and the same car in another paint. The cars collide but take no damage,
+// and the city streams in around both of them. Time Attack becomes a coin
+// race and the checkpoint race ends when the first car finishes.
+const playersSelect = document.getElementById('menu-players');
+const playerTwoHud = {
+    name: document.getElementById('p2-name'),
+    score: document.getElementById('p2-score'),
+    speedometer: document.getElementById('p2-speedometer'),
+    north: document.getElementById('p2-minimap-north'),
+    wrongWay: document.getElementById('p2-wrong-way')
+};
+
+// Where the world has to exist: every car a player is driving (with its velocity, for pedestrians to dodge)
+function playerPoints() {
+    const point = ({ position, velocity }) => ({ x: position.x, z: position.z, vx: velocity.x, vz: velocity.z });
+    const points = [point(sim.player.body)];
+    if (playerTwo) points.push(point(playerTwo.car.body));
+    return points;
+}
+
+// Parks player two on player one's right, facing the same way
+function spawnPlayerTwo() {
+    removePlayerTwo();
+    const def = carConfigs[currentCarIndex];
+    const custom = { ...garage.get(def.id), color: config.playerTwoColor };
+    const mesh = createCarModel(def, custom);
+    scene.add(mesh);
+
+    const { body, state } = sim.player;
+    const right = new CANNON.Vec3(Math.cos(state.heading) * 5, 0, -Math.sin(state.heading) * 5);
+    const car = createCar({
+        CANNON, world, def,
+        handling: applyTuning(def.handling, custom.tuning),
+        material: physicsMaterials.box,
+        position: body.position.vadd(right),
+        quaternion: body.quaternion.clone(),
+        throttleRate: config.throttleRate,
+        steerRate: config.steerRate
+    });
+    playerTwo = {
+        mesh, car,
+        floorBody: createFloor(CANNON, world, physicsMaterials.ground, config.worldSize),
+        cameraMode: 0,
+        score: 0,
+        resetRequested: false,
+        lapTracker: null
+    };
+    followFloor(playerTwo.floorBody, car.body.position, sim.settings.floorTile);
+    playerTwoHud.name.innerText = def.name;
+    playerTwoHud.name.style.color = colorToHex(config.playerTwoColor);
+}
+
+function removePlayerTwo() {
+    if (!playerTwo) return;
+    scene.remove(playerTwo.mesh);
+    disposeModel(playerTwo.mesh);
+    playerTwo.car.remove();
+    world.removeBody(playerTwo.floorBody);
+    playerTwo = null;
+}
+
+// Called from startRun, after player one is in place for the chosen mode
+function startSplitScreen() {
+    splitScreen = true;
+    document.body.classList.add('split');
+    input.setPadIndex(0); // First pad for player one, second for player two
+    clearWaypoint();
+    spawnPlayerTwo();
+    if (session.state.mode === 'race') {
+        playerTwo.lapTracker = createLapTracker(raceRoute, { laps: config.raceLaps });
+        playerTwoHud.score.innerHTML = "LAP 0/" + config.raceLaps;
+    } else {
+        playerTwoHud.score.innerHTML = "SCORE: 0";
+    }
+    playerTwoHud.wrongWay.style.display = 'none';
+    applyViewSettings();
+}
+
+function stopSplitScreen() {
+    if (!splitScreen) return;
+    splitScreen = false;
+    document.body.classList.remove('split');
+    input.setPadIndex(null);
+    removePlayerTwo();
+    playerTwoHud.wrongWay.style.display = 'none';
+    applyViewSettings();
+}
+
+// Before the physics step: the same driving model as player one (see src/car.js)
+function drivePlayerTwo(dt, driving) {
+    const { car } = playerTwo;
+    car.snap();
+    followFloor(playerTwo.floorBody, car.body.position, sim.settings.floorTile);
+    car.sense();
+    if (playerTwo.resetRequested) {
+        playerTwo.resetRequested = false;
+        car.reset();
+    }
+    car.drive(dt, playerTwoInput.read(), { driving, grip: weatherParams.grip, brake: weatherParams.brake });
+}
+
+// After the physics step: player two's coins
+function updatePlayerTwo(driving) {
+    if (!driving || session.state.mode !== 'timeAttack') return;
+    const { car } = playerTwo;
+    const { position } = car.body;
+    const taken = sim.coins.pickUp(position.x, position.y + car.def.collision.modelOffsetY, position.z);
+    if (!taken.length) return;
+    taken.forEach(() => audio.coin());
+    playerTwo.score += taken.length * sim.coins.points;
+    playerTwoHud.score.innerHTML = "SCORE: " + playerTwo.score;
+}
+
+// Both cars through the same gates on one shared clock; the first to finish wins
+function updateVersusRace(dt, driving) {
+    if (gameState !== 'playing') return;
+    if (driving) raceTime += dt;
+
+    const racers = [
+        { tracker: lapTracker, body: sim.player.body, lapEl: scoreEl, wrongWayEl: raceEls.wrongWay },
+        { tracker: playerTwo.lapTracker, body: playerTwo.car.body, lapEl: playerTwoHud.score, wrongWayEl: playerTwoHud.wrongWay }
+    ];
+    let winner = null;
+    racers.forEach((racer, i) => {
+        const { position, velocity } = racer.body;
+        const events = racer.tracker.update(position.x, position.z, velocity.x, velocity.z, raceTime, dt);
+        if (winner === null && events.some(event => event.type === 'finish')) winner = i;
+
+        const state = racer.tracker.state;
+        const lapText = "LAP " + Math.min(Math.max(state.lap, 0), config.raceLaps) + "/" + config.raceLaps;
+        if (racer.lapEl.innerHTML !== lapText) racer.lapEl.innerHTML = lapText;
+        racer.wrongWayEl.style.display = state.wrongWay ? 'block' : 'none';
+    });
+    const clock = formatRaceTime(raceTime);
+    if (timerEl.innerText !== clock) timerEl.innerText = clock;
+    if (winner !== null) finishVersus(winner);
+}
+
+// Shared results screen. winner: 0 / 1 in a race; Time Attack compares scores
+function finishVersus(winner = null) {
+    setGameState('gameOver');
+    raceEls.wrongWay.style.display = 'none';
+    playerTwoHud.wrongWay.style.display = 'none';
+
+    let lines;
+    if (session.state.mode === 'race') {
+        lines = [lapTracker, playerTwo.lapTracker].map(tracker => {
+            const state = tracker.state;
+            return state.finished
+                ? formatRaceTime(state.lapTimes.reduce((a, b) => a + b, 0))
+                : "LAP " + Math.max(state.lap, 0) + "/" + config.raceLaps;
+        });
+    } else {
+        const score = session.state.score;
+        lines = [score, playerTwo.score].map(points => points + " PTS");
+        if (score !== playerTwo.score) winner = score > playerTwo.score ? 0 : 1;
+    }
+
+    raceEls.title.innerText = winner === null ? "DRAW" : "PLAYER " + (winner + 1) + " WINS";
+    raceEls.scoreLine.style.display = 'none';
+    raceEls.results.innerHTML = lines
+        .map((line, i) => "<div" + (i === winner ? " style='color:#ffaa00'" : "") + ">PLAYER " + (i + 1) + ": " + line + "</div>")
+        .join('');
+    raceEls.results.style.display = 'block';
+}
+
+// ==========================================
+// 16. MAIN GAME LOOP
+// ==========================================
+// src/simulation.js runs the fixed timestep (physics, driving, coins and the Time
+// Attack clock); the two hooks below add the rest of the game to each step.
+// Rendering interpolates between the last two physics states so handling and
+// scores don't depend on the display's refresh rate.
+const renderQuatA = new THREE.Quaternion();
+const renderQuatB = new THREE.Quaternion();
+const chassisInverseQuat = new THREE.Quaternion();
+
+// Before the physics step, once player one's controls are applied
+function beforeStep(dt, driving) {
+    prevRunTime = runTime;
+    if (pinnedHour === null) timeOfDay = (timeOfDay + dt * 24 / config.dayLength) % 24;
+    weatherParams = weather.update(dt);
+    rainTime = (rainTime + dt) % (RAIN_HEIGHT / RAIN_SPEED); // The fall loops, so keep the shader clock small
+    if (playerTwo) drivePlayerTwo(dt, driving);
+
+    // Ghost Recording (before the step, so sample N is the state at N / ghostRate seconds)
+    if (driving) {
+        const { body, state } = sim.player;
+        recorder.record(runTime, body.position.x, body.position.y, body.position.z, state.heading, carConfigs[currentCarIndex].id);
+        runTime += dt;
+    }
+    syncTrafficBodies();
+}
+
+// After the physics step, with what the simulation reported
+function afterStep(dt, events, driving) {
+    events.forEach(event => {
+        if (event.type === 'reset') {
+            crashStunts();
+            repairCar(true);
+        } else if (event.type === 'coins') {
+            for (let i = 0; i < event.count; i++) audio.coin();
+            scoreEl.innerHTML = "SCORE: " + session.state.score;
+        }
+    });
+    applyImpacts();
+    updateDebris(dt);
+    updateSmoke(dt);
+    updateTraffic(dt);
+    updatePedestrians(dt);
+    coinSpin += config.coinSpin * dt;
+    updateStunts(dt);
+    if (playerTwo) updatePlayerTwo(driving);
+
+    if (session.state.mode === 'race' && splitScreen) updateVersusRace(dt, driving);
+    else if (session.state.mode === 'race') updateRace(dt, driving);
+    else updateTimer(events);
+    updateGps(dt);
+}
+
+// Sets a car model from its physics body, interpolated between the last two steps
+function syncCarModel(model, car, alpha) {
+    const { body, vehicle, prevPosition, prevQuaternion } = car;
+    const p0 = prevPosition, p1 = body.position;
+    model.position.set(p0.x + (p1.x - p0.x) * alpha, p0.y + (p1.y - p0.y) * alpha, p0.z + (p1.z - p0.z) * alpha);
+    renderQuatA.set(prevQuaternion.x, prevQuaternion.y, prevQuaternion.z, prevQuaternion.w);
+    renderQuatB.set(body.quaternion.x, body.quaternion.y, body.quaternion.z, body.quaternion.w);
+    model.quaternion.slerpQuaternions(renderQuatA, renderQuatB, alpha);
+    model.translateY(model.userData.offsetY); 
+
+    // Wheels spin and steer from the physics wheel transforms, relative to the chassis
+    chassisInverseQuat.copy(renderQuatB).invert();
+    vehicle.wheelInfos.forEach((wheel, i) => {
+        vehicle.updateWheelTransform(i);
+        const t = wheel.worldTransform;
+        const wheelMesh = model.userData.wheels[i].mesh;
+        wheelMesh.position.set(t.position.x - p1.x, t.position.y - p1.y, t.position.z - p1.z).applyQuaternion(chassisInverseQuat);
+        wheelMesh.position.y -= model.userData.offsetY;
+        wheelMesh.position.divideScalar(model.scale.x);
+        wheelMesh.quaternion.set(t.quaternion.x, t.quaternion.y, t.quaternion.z, t.quaternion.w).premultiply(chassisInverseQuat);
+    });
+}
+
+// Floor, sun (and its shadows) and rain follow whichever car the next view is looking at
+function followView(position, floor) {
+    floorMesh.position.x = floor.position.x;
+    floorMesh.position.z = floor.position.z;
+    sunLight.target.position.set(position.x, 0, position.z);
+    sunLight.position.copy(sunLight.target.position).add(sunPosition);
+    rainMat.uniforms.uCenter.value.set(position.x, position.y, position.z);
+}
+
+// Places the main camera behind / in / above a car; returns the car's smoothed heading
+function followCamera(model, mode) {
+    const viewForward = new THREE.Vector3(0, 0, -1).applyQuaternion(model.quaternion);
+    const viewAngle = Math.atan2(-viewForward.x, -viewForward.z);
+    if (mode === 0) { // Third Person
         const offset = 15;
         camera.position.set(
-            carMesh.position.x - Math.sin(carAngle) * -offset,
-            carMesh.position.y + 6,
-            carMesh.position.z - Math.cos(carAngle) * -offset
+            model.position.x - Math.sin(viewAngle) * -offset,
+            model.position.y + 6,
+            model.position.z - Math.cos(viewAngle) * -offset
         );
-        camera.lookAt(carMesh.position);
-    } else if (cameraMode === 1) { // First Person
-        camera.position.copy(carMesh.position);
+        camera.lookAt(model.position);
+    } else if (mode === 1) { // First Person
+        camera.position.copy(model.position);
         camera.position.y += 1.5; 
         camera.lookAt(
-            carMesh.position.x - Math.sin(carAngle) * 20,
-            carMesh.position.y + 1.5,
-            carMesh.position.z - Math.cos(carAngle) * 20
+            model.position.x - Math.sin(viewAngle) * 20,
+            model.position.y + 1.5,
+            model.position.z - Math.cos(viewAngle) * 20
         );
-    } else if (cameraMode === 2) { // Top Down
-        camera.position.set(carMesh.position.x, carMesh.position.y + 40, carMesh.position.z + 10);
-        camera.lookAt(carMesh.position);
+    } else if (mode === 2) { // Top Down
+        camera.position.set(model.position.x, model.position.y + 40, model.position.z + 10);
+        camera.lookAt(model.position);
     }
-    renderer.render(scene, camera);
+    return viewAngle;
+}
 
-    // 2. Mini-Map Render
-    const mapSizePx = 200; 
-    const responsiveMapSize = (window.innerWidth < 400) ? 160 : 200;
-    renderer.setViewport(20, 20, responsiveMapSize, responsiveMapSize);
-    renderer.setScissor(20, 20, responsiveMapSize, responsiveMapSize);
-    
-    mapCamera.position.x = carMesh.position.x;
-    mapCamera.position.z = carMesh.position.z;
-    mapCamera.rotation.z = carAngle; 
-    renderer.render(scene, mapCamera);
+function render(alpha) {
+    // World Streaming
+    chunkManager.updateAround(playerPoints(), config.chunksPerFrame);
+    const light = applyTimeOfDay(timeOfDay);
+    applyWeather(weatherParams, sim.player.body.position.x, sim.player.body.position.y, sim.player.body.position.z);
+
+    // Headlights: dim running lights by day, full beam at night
+    const headlight = carMesh.userData.headlight;
+    if (headlight) headlight.intensity = headlight.userData.baseIntensity * THREE.MathUtils.lerp(0.25, 2, light.night);
+
+    // Sync Visuals (interpolated between the previous and current physics state)
+    syncCarModel(carMesh, sim.player, alpha);
+    if (playerTwo) syncCarModel(playerTwo.mesh, playerTwo.car, alpha);
+    if (session.state.mode) updateGhost(prevRunTime + (runTime - prevRunTime) * alpha);
+
+    renderTraffic(alpha);
+    renderPedestrians(alpha);
+    updateCoinInstances();
+
+    // --- RENDER PIPELINE ---
+    // One view per player: side by side in split-screen, each with its own minimap
+    const views = [{ mesh: carMesh, floor: floorBody, cameraMode, tracker: lapTracker, north: minimapNorthEl }];
+    if (playerTwo) views.push({ mesh: playerTwo.mesh, floor: playerTwo.floorBody, cameraMode: playerTwo.cameraMode, tracker: playerTwo.lapTracker, north: playerTwoHud.north });
+    const viewWidth = window.innerWidth / views.length;
+    const responsiveMapSize = minimapSize();
+    renderer.setScissorTest(true);
+
+    views.forEach((view, i) => {
+        const left = i * viewWidth;
+        followView(view.mesh.position, view.floor);
+        if (raceGates.length) highlightNextGate(view.tracker); // Each player sees their own next gate
+
+        // 1. Main Camera Render
+        renderer.setViewport(left, 0, viewWidth, window.innerHeight);
+        renderer.setScissor(left, 0, viewWidth, window.innerHeight);
+        const viewAngle = followCamera(view.mesh, view.cameraMode);
+        cullChunks(camera.position.x, camera.position.z);
+        renderer.render(scene, camera);
+
+        // 2. Mini-Map Render
+        renderer.setViewport(left + 20, 20, responsiveMapSize, responsiveMapSize);
+        renderer.setScissor(left + 20, 20, responsiveMapSize, responsiveMapSize);
+        mapCamera.position.x = view.mesh.position.x;
+        mapCamera.position.z = view.mesh.position.z;
+        mapCamera.rotation.z = viewAngle; 
+        renderer.render(scene, mapCamera);
+        updateMinimapNorth(view.north, viewAngle);
+    });
 
     renderer.setScissorTest(false);
 
     // Update Speedometer UI
-    const velocityMagnitude = Math.sqrt(boxBody.velocity.x**2 + boxBody.velocity.z**2);
+    const player = sim.player;
+    const velocityMagnitude = Math.sqrt(player.body.velocity.x**2 + player.body.velocity.z**2);
+    audio.updateCar({
+        speed: player.state.speed,
+        throttle: player.state.throttle,
+        skid: player.state.skid,
+        sound: player.def.sound,
+        maxSpeed: player.handling.maxSpeed
+    });
     if(speedometer) speedometer.innerHTML = Math.round(velocityMagnitude * 3.6) + ' <span>km/h</span>';
+    if (playerTwo) {
+        const v = playerTwo.car.body.velocity;
+        playerTwoHud.speedometer.innerHTML = Math.round(Math.hypot(v.x, v.z) * 3.6) + ' <span>km/h</span>';
+    }
+}
+
+function animate() {
+    requestAnimationFrame(animate);
+    const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+    input.poll(pads);
+    if (playerTwo) playerTwoInput.poll(pads);
+
+    // Paused or on the map: keep drawing the frozen scene, but don't advance it
+    render(sim.frame(gameState === 'paused' || gameState === 'map'));
 }
 
 // Window Resize Handler (Responsive FOV)
-window.addEventListener('resize', () => {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.fov = (camera.aspect < 1) ? 100 : 75; // Wider FOV for portrait mobile
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
-});
-// Init resize logic
-window.dispatchEvent(new Event('resize'));
+window.addEventListener('resize', applyViewSettings);
+applyViewSettings();
+
+requestAnimationFrame(animate);
 
-animate();
+// Offline Support: sw.js caches the app (service workers need http(s), so file:// skips it)
+if ('serviceWorker' in navigator && location.protocol !== 'file:') {
+    navigator.serviceWorker.register('./sw.js').catch(() => {}); // The game runs fine without it
+}
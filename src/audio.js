@@ -0,0 +1,249 @@
+/**
+ * Audio
+ * Everything is synthesised with Web Audio, so there are no sound files to
+ * load: an engine tone per vehicle class, tyre squeal from filtered noise,
+ * impact thumps, a coin chime and a quiet ambient pad for music.
+ *
+ * Browsers only allow audio after a user gesture, so nothing is created until
+ * unlock() is called from an input handler. Every other call is a no-op until
+ * then, which keeps the game loop free of "is audio ready?" checks.
+ *
+ * Mixer: sources -> sfx / music bus -> master -> speakers. Volumes and mute
+ * are saved to localStorage.
+ */
+
+import { loadRecord } from './storage.js';
+
+const STORAGE_KEY = 'gtaAudio';
+const DEFAULT_SETTINGS = { master: 0.8, music: 0.4, sfx: 0.8, muted: false };
+export const VOLUME_CHANNELS = ['master', 'music', 'sfx'];
+
+// Engine frequency and load for a speed (m/s) and throttle (-1..1), with a
+// simple gearbox so the pitch climbs, drops on the shift and climbs again
+export function engineNote(speed, throttle, sound, maxSpeed) {
+    const ratio = Math.min(Math.abs(speed) / maxSpeed, 1);
+    const gear = Math.min(Math.floor(ratio * sound.gears), sound.gears - 1);
+    const inGear = ratio * sound.gears - gear; // 0..1 through the current gear
+    const rev = gear === 0 ? inGear : 0.35 + inGear * 0.65;
+    const load = Math.abs(throttle);
+    return {
+        frequency: sound.idle + (sound.redline - sound.idle) * Math.min(1, rev + load * 0.08),
+        load
+    };
+}
+
+function loadSettings(storage) {
+    const saved = loadRecord(storage, STORAGE_KEY);
+    const settings = { ...DEFAULT_SETTINGS };
+    VOLUME_CHANNELS.forEach(channel => {
+        if (typeof saved[channel] === 'number') settings[channel] = Math.min(1, Math.max(0, saved[channel]));
+    });
+    if (typeof saved.muted === 'boolean') settings.muted = saved.muted;
+    return settings;
+}
+
+export function createAudio(storage = localStorage) {
+    const settings = loadSettings(storage);
+    let ctx = null;
+    let buses = null;
+    let engine = null;
+    let squeal = null;
+    let noiseBuffer = null;
+    let paused = false;
+
+    function save() {
+        storage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    }
+
+    function applyVolumes() {
+        if (!ctx) return;
+        const now = ctx.currentTime;
+        buses.master.gain.setTargetAtTime(settings.muted ? 0 : settings.master, now, 0.05);
+        buses.music.gain.setTargetAtTime(settings.music, now, 0.05);
+        buses.sfx.gain.setTargetAtTime(settings.sfx, now, 0.05);
+    }
+
+    // One second of white noise, looped for squeal and reused for impacts
+    function createNoiseBuffer() {
+        const buffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+        return buffer;
+    }
+
+    function createEngine() {
+        const main = ctx.createOscillator();
+        const sub = ctx.createOscillator(); // An octave down, for body
+        const filter = ctx.createBiquadFilter();
+        const gain = ctx.createGain();
+        sub.type = 'sine';
+        filter.type = 'lowpass';
+        filter.Q.value = 4;
+        gain.gain.value = 0;
+        main.connect(filter);
+        sub.connect(filter);
+        filter.connect(gain);
+        gain.connect(buses.sfx);
+        main.start();
+        sub.start();
+        return { main, sub, filter, gain };
+    }
+
+    function createSqueal() {
+        const source = ctx.createBufferSource();
+        source.buffer = noiseBuffer;
+        source.loop = true;
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = 1800;
+        filter.Q.value = 12;
+        const gain = ctx.createGain();
+        gain.gain.value = 0;
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(buses.sfx);
+        source.start();
+        return { filter, gain };
+    }
+
+    // Slow four-chord pad; each chord is scheduled just before the previous one ends
+    function startMusic() {
+        const chords = [[220, 261.63, 329.63], [174.61, 220, 261.63], [196, 246.94, 293.66], [164.81, 196, 246.94]];
+        const length = 4;
+        let index = 0;
+        let next = ctx.currentTime + 0.1;
+        const schedule = () => {
+            while (next < ctx.currentTime + length) {
+                chords[index].forEach(frequency => {
+                    const osc = ctx.createOscillator();
+                    const gain = ctx.createGain();
+                    osc.type = 'triangle';
+                    osc.frequency.value = frequency;
+                    gain.gain.setValueAtTime(0, next);
+                    gain.gain.linearRampToValueAtTime(0.05, next + 1);
+                    gain.gain.linearRampToValueAtTime(0, next + length + 0.5);
+                    osc.connect(gain);
+                    gain.connect(buses.music);
+                    osc.start(next);
+                    osc.stop(next + length + 0.6);
+                });
+                index = (index + 1) % chords.length;
+                next += length;
+            }
+        };
+        schedule();
+        setInterval(schedule, 1000);
+    }
+
+    // Call from a user gesture (key press, click, touch); safe to call repeatedly
+    function unlock() {
+        if (ctx) {
+            if (ctx.state === 'suspended' && !paused) ctx.resume();
+            return;
+        }
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) return;
+        ctx = new AudioContext();
+        buses = { master: ctx.createGain(), music: ctx.createGain(), sfx: ctx.createGain() };
+        buses.music.connect(buses.master);
+        buses.sfx.connect(buses.master);
+        buses.master.connect(ctx.destination);
+        applyVolumes();
+
+        noiseBuffer = createNoiseBuffer();
+        engine = createEngine();
+        squeal = createSqueal();
+        startMusic();
+    }
+
+    // Per frame: speed (m/s), throttle (-1..1), skid (0 = gripping, 1 = sliding)
+    function updateCar({ speed, throttle, skid, sound, maxSpeed }) {
+        if (!ctx) return;
+        const now = ctx.currentTime;
+        const note = engineNote(speed, throttle, sound, maxSpeed);
+        engine.main.type = sound.wave;
+        engine.main.frequency.setTargetAtTime(note.frequency, now, 0.05);
+        engine.sub.frequency.setTargetAtTime(note.frequency / 2, now, 0.05);
+        engine.filter.frequency.setTargetAtTime(400 + note.load * 1800 + note.frequency * 2, now, 0.05);
+        engine.gain.gain.setTargetAtTime(0.12 + note.load * 0.13, now, 0.05);
+
+        const squealLevel = Math.min(1, Math.max(0, skid)) * Math.min(1, Math.abs(speed) / 8);
+        squeal.gain.gain.setTargetAtTime(squealLevel * 0.25, now, 0.04);
+        squeal.filter.frequency.setTargetAtTime(1500 + squealLevel * 700, now, 0.1);
+    }
+
+    // Thump plus a burst of noise; strength is the impact speed in m/s
+    function impact(strength) {
+        if (!ctx) return;
+        const now = ctx.currentTime;
+        const level = Math.min(1, strength / 20);
+
+        const thump = ctx.createOscillator();
+        const thumpGain = ctx.createGain();
+        thump.type = 'sine';
+        thump.frequency.setValueAtTime(120, now);
+        thump.frequency.exponentialRampToValueAtTime(40, now + 0.25);
+        thumpGain.gain.setValueAtTime(level * 0.8, now);
+        thumpGain.gain.exponentialRampToValueAtTime(0.001, now + 0.3);
+        thump.connect(thumpGain);
+        thumpGain.connect(buses.sfx);
+        thump.start(now);
+        thump.stop(now + 0.3);
+
+        const crunch = ctx.createBufferSource();
+        crunch.buffer = noiseBuffer;
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 800 + level * 3000;
+        const crunchGain = ctx.createGain();
+        crunchGain.gain.setValueAtTime(level * 0.6, now);
+        crunchGain.gain.exponentialRampToValueAtTime(0.001, now + 0.15 + level * 0.3);
+        crunch.connect(filter);
+        filter.connect(crunchGain);
+        crunchGain.connect(buses.sfx);
+        crunch.start(now, Math.random() * 0.5);
+        crunch.stop(now + 0.5);
+    }
+
+    function coin() {
+        if (!ctx) return;
+        const now = ctx.currentTime;
+        [1318.5, 1975.5].forEach((frequency, i) => { // E6 then B6
+            const osc = ctx.createOscillator();
+            const gain = ctx.createGain();
+            const start = now + i * 0.08;
+            osc.type = 'sine';
+            osc.frequency.value = frequency;
+            gain.gain.setValueAtTime(0, start);
+            gain.gain.linearRampToValueAtTime(0.25, start + 0.01);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + 0.3);
+            osc.connect(gain);
+            gain.connect(buses.sfx);
+            osc.start(start);
+            osc.stop(start + 0.3);
+        });
+    }
+
+    // Freezes every sound (music included) while the game is paused
+    function setPaused(value) {
+        paused = value;
+        if (!ctx) return;
+        if (paused) ctx.suspend();
+        else ctx.resume();
+    }
+
+    function setVolume(channel, value) {
+        settings[channel] = Math.min(1, Math.max(0, value));
+        applyVolumes();
+        save();
+    }
+
+    function toggleMute() {
+        settings.muted = !settings.muted;
+        applyVolumes();
+        save();
+        return settings.muted;
+    }
+
+    return { settings, unlock, updateCar, impact, coin, setPaused, setVolume, toggleMute };
+}
@@ -0,0 +1,170 @@
+/**
+ * Car Physics
+ * The driving model every player car shares: a chassis body on a
+ * CANNON.RaycastVehicle built from a vehicle definition, pedal and steering
+ * targets from the controls, throttle and steering smoothing, the handbrake
+ * and the upright reset.
+ *
+ * The physics library is passed in rather than imported, so the same code runs
+ * in the browser and headless under Node. Cars face -Z; heading follows the
+ * usual convention (forward is (-sin heading, -cos heading)).
+ */
+
+// Moves value toward target by at most maxDelta
+export function approach(value, target, maxDelta) {
+    if (value < target) return Math.min(value + maxDelta, target);
+    return Math.max(value - maxDelta, target);
+}
+
+// Wheel positions (world units) and roles from a definition, in the order the
+// physics wheels are added (the game's models build their wheels in the same order)
+export function wheelLayout(def) {
+    return def.model.wheels.positions.map(pos => ({ x: pos.x * def.scale, z: pos.z * def.scale, steer: !!pos.steer, drive: !!pos.drive }));
+}
+
+// Handling worn down by damage (wear: effects() from src/damage.js)
+export function wornHandling(handling, wear) {
+    return {
+        ...handling,
+        maxSpeed: handling.maxSpeed * wear.speedFactor,
+        steer: handling.steer * wear.handlingFactor,
+        grip: handling.grip * wear.handlingFactor,
+        driftGrip: handling.driftGrip * wear.handlingFactor
+    };
+}
+
+// Pedal and steering targets for one physics step. control: { steer, throttle, brake } from src/input.js
+export function carPedals(control, speed, stats) {
+    let throttleTarget = 0;
+    let brakeForce = 0;
+    if (control.throttle > 0) {
+        if (speed < stats.maxSpeed) throttleTarget = control.throttle;
+    } else if (control.brake > 0) {
+        if (speed > 1) brakeForce = stats.brakeForce * control.brake;
+        else if (speed > -stats.maxSpeed / 2) throttleTarget = -0.6 * control.brake; // Reverse
+    } else {
+        brakeForce = stats.brakeForce * 0.05; // Rolling resistance
+    }
+
+    let steerTarget = control.steer * stats.steer;
+    steerTarget *= Math.max(0.35, 1 - Math.abs(speed) / (stats.maxSpeed * 1.5)); // Less lock at speed
+    return { throttle: throttleTarget, brake: brakeForce, steer: steerTarget };
+}
+
+// Chassis body and raycast vehicle for a definition, added to the world.
+// handling: the definition's handling with garage tuning applied
+export function createCar({ CANNON, world, def, handling, material, position, quaternion, throttleRate = 4, steerRate = 5 }) {
+    const body = new CANNON.Body({
+        mass: handling.mass,
+        shape: new CANNON.Box(new CANNON.Vec3(...def.collision.halfExtents)),
+        position,
+        quaternion,
+        material,
+        linearDamping: 0.05,
+        angularDamping: 0.4,
+        allowSleep: false
+    });
+
+    const vehicle = new CANNON.RaycastVehicle({
+        chassisBody: body,
+        indexRightAxis: 0, indexUpAxis: 1, indexForwardAxis: 2 // Car faces -Z
+    });
+
+    // Suspension hangs from above the visual wheel centre (modelOffsetY below the body centre)
+    const offsetY = def.collision.modelOffsetY;
+    const wheels = wheelLayout(def);
+    wheels.forEach(wheel => {
+        vehicle.addWheel({
+            radius: def.model.wheels.radius * def.scale,
+            directionLocal: new CANNON.Vec3(0, -1, 0),
+            axleLocal: new CANNON.Vec3(-1, 0, 0),
+            chassisConnectionPointLocal: new CANNON.Vec3(wheel.x, offsetY + handling.suspensionRestLength, wheel.z),
+            suspensionRestLength: handling.suspensionRestLength,
+            suspensionStiffness: handling.suspensionStiffness,
+            dampingCompression: handling.suspensionDamping,
+            dampingRelaxation: handling.suspensionDamping * 0.8,
+            maxSuspensionTravel: 0.3,
+            maxSuspensionForce: 100000,
+            frictionSlip: handling.grip,
+            rollInfluence: 0.05,
+            customSlidingRotationalSpeed: -30,
+            useCustomSlidingRotationalSpeed: true
+        });
+    });
+    vehicle.addToWorld(world);
+
+    const state = {
+        heading: 0,   // Radians, read back from the chassis at the start of each step
+        speed: 0,     // Forward speed (m/s, negative when reversing)
+        throttle: 0,  // Smoothed pedal, -1 (reverse) to 1
+        steer: 0,     // Smoothed steering angle
+        skid: 0       // 0 = all tyres gripping, 1 = fully sliding
+    };
+
+    // Physics state from the previous fixed step, for render interpolation
+    const prevPosition = body.position.clone();
+    const prevQuaternion = body.quaternion.clone();
+    const forwardLocal = new CANNON.Vec3(0, 0, -1);
+    const up = new CANNON.Vec3(0, 1, 0);
+
+    // Call after teleporting the car so the renderer doesn't interpolate across the jump
+    function snap() {
+        prevPosition.copy(body.position);
+        prevQuaternion.copy(body.quaternion);
+    }
+
+    // Heading & forward speed, read back from the chassis
+    function sense() {
+        const forward = body.quaternion.vmult(forwardLocal);
+        state.heading = Math.atan2(-forward.x, -forward.z);
+        state.speed = body.velocity.dot(forward);
+    }
+
+    // One step of driving. Not driving (menus, garage, game over): roll to a stop.
+    // grip / brake scale tyre grip and braking for the road surface (wet roads)
+    function drive(dt, control, { driving = true, stats = handling, grip = 1, brake = 1 } = {}) {
+        const pedals = driving ? carPedals(control, state.speed, stats) : { throttle: 0, brake: stats.brakeForce, steer: 0 };
+        const handbrake = driving && control.handbrake;
+        state.throttle = approach(state.throttle, pedals.throttle, throttleRate * dt);
+        state.steer = approach(state.steer, pedals.steer, stats.steer * steerRate * dt);
+
+        // Handbrake: rear tyres lose grip and lock up, letting the tail slide out
+        vehicle.wheelInfos.forEach((wheel, i) => {
+            const { steer: steers, drive: driven } = wheels[i];
+            vehicle.setSteeringValue(steers ? state.steer : 0, i);
+            vehicle.applyEngineForce(driven ? state.throttle * stats.engineForce : 0, i);
+            vehicle.setBrake(pedals.brake * brake + (!steers && handbrake ? stats.brakeForce * 0.2 : 0), i);
+            wheel.frictionSlip = (!steers && handbrake ? stats.driftGrip : stats.grip) * grip;
+        });
+    }
+
+    // After the physics step: how much the tyres are sliding (skidInfo is 1 while gripping)
+    function measureSkid() {
+        state.skid = 0;
+        vehicle.wheelInfos.forEach(wheel => {
+            if (wheel.isInContact) state.skid = Math.max(state.skid, 1 - wheel.skidInfo);
+        });
+    }
+
+    // Puts the car down at (x, y, z) facing angle, at rest
+    function place(x, y, z, angle) {
+        body.position.set(x, y, z);
+        body.quaternion.setFromAxisAngle(up, angle);
+        body.velocity.set(0, 0, 0);
+        body.angularVelocity.set(0, 0, 0);
+        state.heading = angle;
+        state.speed = 0;
+        snap();
+    }
+
+    // Upright and a little above where it is, keeping the current heading
+    function reset() {
+        place(body.position.x, body.position.y + 3, body.position.z, state.heading);
+    }
+
+    function remove() {
+        vehicle.removeFromWorld(world);
+    }
+
+    return { def, handling, body, vehicle, wheels, state, prevPosition, prevQuaternion, snap, sense, drive, measureSkid, place, reset, remove };
+}
@@ -0,0 +1,89 @@
+/**
+ * Chunk Streaming
+ * Keeps a square of city tiles loaded around each player; the callbacks build and dispose them.
+ */
+
+import { mixSeed } from './random.js';
+
+// Mixes the world seed with a tile coordinate so each tile has its own stable seed
+export function chunkSeed(seed, cx, cz) {
+    return mixSeed(seed, cx, cz);
+}
+
+export function chunkKey(cx, cz) {
+    return cx + ',' + cz;
+}
+
+export function createChunkManager({ size, radius, seed, build, dispose }) {
+    const loaded = new Map(); // key -> { cx, cz, data }
+    let centersKey = null; // The tiles the players were on at the last recenter
+    let pending = [];
+
+    // Chunk (0, 0) is centred on the origin
+    const toChunk = (v) => Math.floor(v / size + 0.5);
+
+    function load(cx, cz) {
+        const key = chunkKey(cx, cz);
+        if (loaded.has(key)) return;
+        loaded.set(key, { cx, cz, data: build(cx, cz, chunkSeed(seed, cx, cz)) });
+    }
+
+    function unload(key) {
+        const chunk = loaded.get(key);
+        if (!chunk) return;
+        dispose(chunk.data);
+        loaded.delete(key);
+    }
+
+    // centers: [[cx, cz], ...], the tile each player is on
+    function recenter(centers) {
+        const within = (cx, cz, reach) => centers.some(([x, z]) => Math.abs(cx - x) <= reach && Math.abs(cz - z) <= reach);
+
+        // Unload with one tile of slack so driving along a border doesn't thrash
+        for (const [key, chunk] of loaded) {
+            if (!within(chunk.cx, chunk.cz, radius + 1)) unload(key);
+        }
+
+        // Queue missing tiles, nearest to any player first
+        const queued = new Map();
+        centers.forEach(([cx, cz]) => {
+            for (let dx = -radius; dx <= radius; dx++) {
+                for (let dz = -radius; dz <= radius; dz++) {
+                    const key = chunkKey(cx + dx, cz + dz);
+                    const distance = dx * dx + dz * dz;
+                    if (loaded.has(key) || (queued.has(key) && queued.get(key)[2] <= distance)) continue;
+                    queued.set(key, [cx + dx, cz + dz, distance]);
+                }
+            }
+        });
+        pending = [...queued.values()].sort((a, b) => a[2] - b[2]);
+    }
+
+    // points: [{ x, z }, ...] for every player; budget = max tiles built this call
+    // (Infinity to build everything at once)
+    function updateAround(points, budget = Infinity) {
+        const centers = points.map(p => [toChunk(p.x), toChunk(p.z)]);
+        const key = centers.map(([cx, cz]) => chunkKey(cx, cz)).join(';');
+        if (key !== centersKey) {
+            centersKey = key;
+            recenter(centers);
+        }
+
+        while (pending.length && budget-- > 0) {
+            const [px, pz] = pending.shift();
+            load(px, pz);
+        }
+    }
+
+    function update(x, z, budget = Infinity) {
+        updateAround([{ x, z }], budget);
+    }
+
+    function clear() {
+        for (const key of [...loaded.keys()]) unload(key);
+        centersKey = null;
+        pending = [];
+    }
+
+    return { update, updateAround, clear, loaded, toChunk };
+}
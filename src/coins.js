@@ -0,0 +1,53 @@
+/**
+ * Coin Field
+ * Every coin in the loaded city, found for pickup through a spatial hash.
+ * Coins are plain { id, x, z, owner } records, where owner is whatever they
+ * were scattered for (the game uses the city tile). Ids that have been picked
+ * up are remembered, so a tile that streams back in doesn't hand out the same
+ * coins twice.
+ */
+
+import { createSpatialHash } from './spatial.js';
+
+export const COIN_HEIGHT = 1; // Coins float this far above the road
+
+export function createCoinField({ max = Infinity, radius = 3, points = 10 } = {}) {
+    const coins = [];
+    const grid = createSpatialHash(10);
+    const collected = new Set();
+
+    // Returns the new coin, or null if it was already collected or the field is full
+    function add(owner, id, x, z) {
+        if (coins.length >= max || collected.has(id)) return null;
+        const coin = { id, x, z, owner };
+        coins.push(coin);
+        grid.insert(coin);
+        return coin;
+    }
+
+    function remove(coin) {
+        coins.splice(coins.indexOf(coin), 1);
+        grid.remove(coin);
+    }
+
+    function removeOwner(owner) {
+        coins.filter(coin => coin.owner === owner).forEach(remove);
+    }
+
+    // Collects the coins a car at (x, y, z) is touching; returns them
+    function pickUp(x, y, z) {
+        const taken = grid.query(x, z, radius).filter(coin => Math.hypot(coin.x - x, COIN_HEIGHT - y, coin.z - z) < radius);
+        taken.forEach(coin => {
+            remove(coin);
+            collected.add(coin.id);
+        });
+        return taken;
+    }
+
+    // Restart: every coin can be picked up again
+    function forget() {
+        collected.clear();
+    }
+
+    return { coins, points, add, remove, removeOwner, pickUp, forget };
+}
@@ -0,0 +1,51 @@
+/**
+ * Vehicle Damage
+ * Turns impact speeds into damage, and damage into handling penalties, smoke and lost parts.
+ */
+
+export const MAX_DAMAGE = 100;
+
+// Parts that fall off once damage passes a level (names match vehicle model parts)
+export const DETACH_AT = [
+    { part: 'spoiler', damage: 40 },
+    { part: 'cockpit', damage: 75 }
+];
+
+export function createDamageModel({
+    threshold = 4,      // Impacts slower than this are scrapes and do nothing
+    heavyImpact = 12,   // Impacts at least this fast count as heavy crashes
+    damagePerSpeed = 2  // Damage per m/s above the threshold
+} = {}) {
+    const state = { damage: 0, detached: [] };
+
+    // speed: m/s along the contact normal. Returns { amount, heavy, detach: [part names that just came off] }
+    function hit(speed) {
+        if (speed < threshold) return { amount: 0, heavy: false, detach: [] };
+        const before = state.damage;
+        state.damage = Math.min(MAX_DAMAGE, state.damage + (speed - threshold) * damagePerSpeed);
+        const detach = DETACH_AT
+            .filter(d => before < d.damage && state.damage >= d.damage)
+            .map(d => d.part);
+        state.detached.push(...detach);
+        return { amount: state.damage - before, heavy: speed >= heavyImpact, detach };
+    }
+
+    function repair() {
+        const had = state.damage;
+        state.damage = 0;
+        state.detached = [];
+        return had;
+    }
+
+    // Multipliers for handling, plus how much the engine smokes (0-1)
+    function effects() {
+        const d = state.damage / MAX_DAMAGE;
+        return {
+            speedFactor: 1 - d * 0.4,
+            handlingFactor: 1 - d * 0.3,
+            smoke: Math.max(0, (d - 0.5) / 0.5)
+        };
+    }
+
+    return { state, hit, repair, effects };
+}
@@ -0,0 +1,73 @@
+/**
+ * Day / Night Cycle
+ * Maps an hour of the day (0-24) to a sun direction and a lighting preset.
+ */
+
+const MAX_ELEVATION = 70; // Degrees above the horizon at noon
+
+// Lighting keyframes by sun elevation (degrees). Below the horizon the key
+// light becomes a dim blue moon opposite the sun.
+const KEYFRAMES = [
+    { elevation: -90, key: 0.2, keyColor: 0x8899cc, hemi: 0.15, sky: 0x223355, ground: 0x111111, fog: 0x0a0f1e },
+    { elevation: -12, key: 0.2, keyColor: 0x8899cc, hemi: 0.15, sky: 0x223355, ground: 0x111111, fog: 0x0a0f1e },
+    { elevation: -4, key: 0.0, keyColor: 0x8899cc, hemi: 0.3, sky: 0x445577, ground: 0x222222, fog: 0x2a3050 },
+    { elevation: 0, key: 0.0, keyColor: 0xff8844, hemi: 0.45, sky: 0xffaa88, ground: 0x332222, fog: 0xd08060 },
+    { elevation: 4, key: 0.6, keyColor: 0xffaa66, hemi: 0.55, sky: 0xffccaa, ground: 0x443333, fog: 0xe0a080 },
+    { elevation: 15, key: 1.2, keyColor: 0xffeedd, hemi: 0.75, sky: 0xffffff, ground: 0x444444, fog: 0x9fd0eb },
+    { elevation: 30, key: 1.5, keyColor: 0xffffff, hemi: 0.8, sky: 0xffffff, ground: 0x444444, fog: 0x87ceeb },
+    { elevation: 90, key: 1.5, keyColor: 0xffffff, hemi: 0.8, sky: 0xffffff, ground: 0x444444, fog: 0x87ceeb }
+];
+
+const NIGHT_START = 5;  // Sun elevation where windows and headlights start to come on
+const NIGHT_FULL = -8;  // ...and where it's fully night
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+function lerpColor(a, b, t) {
+    const r = Math.round(lerp(a >> 16, b >> 16, t));
+    const g = Math.round(lerp((a >> 8) & 0xff, (b >> 8) & 0xff, t));
+    const bl = Math.round(lerp(a & 0xff, b & 0xff, t));
+    return (r << 16) | (g << 8) | bl;
+}
+
+// Accepts "18", "18.5" or "18:30"; returns hours in [0, 24) or null
+export function parseTimeOfDay(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const match = String(value).trim().match(/^(\d{1,2})(?::(\d{2}))?$|^(\d{1,2}\.\d+)$/);
+    if (!match) return null;
+    if (match[2] !== undefined && Number(match[2]) >= 60) return null;
+    const hours = match[3] !== undefined ? Number(match[3]) : Number(match[1]) + Number(match[2] || 0) / 60;
+    return hours >= 0 && hours <= 24 ? hours % 24 : null;
+}
+
+// Sun rises in the east (azimuth 90) at 06:00, peaks south at noon, sets west at 18:00
+export function sunAt(hour) {
+    const dayAngle = ((hour - 6) / 24) * Math.PI * 2;
+    return {
+        elevation: MAX_ELEVATION * Math.sin(dayAngle),
+        azimuth: (90 + ((((hour - 6) % 24) + 24) % 24) / 12 * 180) % 360
+    };
+}
+
+// Light intensities / colours for an hour, plus `night` (0 = day, 1 = full night)
+export function lightingAt(hour) {
+    const { elevation, azimuth } = sunAt(hour);
+    let i = 0;
+    while (i < KEYFRAMES.length - 2 && KEYFRAMES[i + 1].elevation <= elevation) i++;
+    const a = KEYFRAMES[i];
+    const b = KEYFRAMES[i + 1];
+    const t = Math.min(Math.max((elevation - a.elevation) / (b.elevation - a.elevation), 0), 1);
+    const night = Math.min(Math.max((NIGHT_START - elevation) / (NIGHT_START - NIGHT_FULL), 0), 1);
+
+    return {
+        elevation,
+        azimuth,
+        night,
+        keyIntensity: lerp(a.key, b.key, t),
+        keyColor: lerpColor(a.keyColor, b.keyColor, t),
+        hemiIntensity: lerp(a.hemi, b.hemi, t),
+        skyColor: lerpColor(a.sky, b.sky, t),
+        groundColor: lerpColor(a.ground, b.ground, t),
+        fogColor: lerpColor(a.fog, b.fog, t)
+    };
+}
@@ -0,0 +1,98 @@
+/**
+ * Garage
+ * Per-vehicle paint, parts and tuning, persisted to localStorage.
+ * Tuning works on a points budget: each stat can move TUNING_STEPS steps up or
+ * down, but the steps must add up to zero or less, so boosting one stat always
+ * costs another.
+ */
+
+import { loadRecord } from './storage.js';
+
+export const WHEEL_STYLES = ['classic', 'sport', 'offroad'];
+export const TUNING_KEYS = ['grip', 'accel', 'maxSpeed'];
+export const TUNING_STEPS = 2;      // Max steps each way per stat
+export const TUNING_STEP_SIZE = 0.1; // +10% / -10% per step
+
+const STORAGE_KEY = 'gtaGarage';
+
+export function defaultCustomization(def) {
+    return {
+        color: def.color,
+        spoiler: !!def.model.spoiler,
+        wheelStyle: 'classic',
+        tuning: { grip: 0, accel: 0, maxSpeed: 0 }
+    };
+}
+
+// Clamps one stat so the stat stays in range and the budget isn't exceeded
+export function clampTuning(tuning, changedKey) {
+    const result = { ...tuning };
+    TUNING_KEYS.forEach(key => {
+        const steps = Number.isFinite(result[key]) ? Math.round(result[key]) : 0; // Junk in saved data counts as untuned
+        result[key] = Math.max(-TUNING_STEPS, Math.min(TUNING_STEPS, steps));
+    });
+    const others = TUNING_KEYS.filter(key => key !== changedKey).reduce((sum, key) => sum + result[key], 0);
+    if (changedKey && result[changedKey] + others > 0) result[changedKey] = -others;
+
+    // Saved data with no changed stat: trim the highest stats until the budget balances
+    while (tuningPointsLeft(result) < 0) {
+        const highest = TUNING_KEYS.reduce((a, b) => (result[b] > result[a] ? b : a));
+        result[highest]--;
+    }
+    return result;
+}
+
+export function tuningPointsLeft(tuning) {
+    return -TUNING_KEYS.reduce((sum, key) => sum + tuning[key], 0);
+}
+
+// Returns a copy of a handling block with the tuning multipliers applied
+export function applyTuning(handling, tuning) {
+    const factor = (key) => 1 + tuning[key] * TUNING_STEP_SIZE;
+    return {
+        ...handling,
+        grip: handling.grip * factor('grip'),
+        driftGrip: handling.driftGrip * factor('grip'),
+        engineForce: handling.engineForce * factor('accel'),
+        maxSpeed: handling.maxSpeed * factor('maxSpeed')
+    };
+}
+
+// Anything missing or out of range in a saved entry falls back to the default
+function sanitize(saved, def) {
+    const base = defaultCustomization(def);
+    if (!saved || typeof saved !== 'object') return base;
+    return {
+        color: Number.isInteger(saved.color) && saved.color >= 0 && saved.color <= 0xffffff ? saved.color : base.color,
+        spoiler: typeof saved.spoiler === 'boolean' ? saved.spoiler : base.spoiler,
+        wheelStyle: WHEEL_STYLES.includes(saved.wheelStyle) ? saved.wheelStyle : base.wheelStyle,
+        tuning: clampTuning({ ...base.tuning, ...saved.tuning })
+    };
+}
+
+export function createGarage(definitions, storage = localStorage) {
+    const saved = loadRecord(storage, STORAGE_KEY);
+
+    const entries = {};
+    definitions.forEach(def => { entries[def.id] = sanitize(saved[def.id], def); });
+
+    function get(id) {
+        return entries[id];
+    }
+
+    function update(id, changes) {
+        const def = definitions.find(d => d.id === id);
+        entries[id] = sanitize({ ...entries[id], ...changes }, def);
+        storage.setItem(STORAGE_KEY, JSON.stringify(entries));
+        return entries[id];
+    }
+
+    function reset(id) {
+        const def = definitions.find(d => d.id === id);
+        entries[id] = defaultCustomization(def);
+        storage.setItem(STORAGE_KEY, JSON.stringify(entries));
+        return entries[id];
+    }
+
+    return { get, update, reset };
+}
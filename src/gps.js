@@ -0,0 +1,73 @@
+/**
+ * GPS Routing
+ * Shortest drive between two points along the road network: both ends are
+ * snapped to the nearest road, then A* runs over the intersections. The grid
+ * is endless, so the search is capped rather than run to exhaustion.
+ *
+ * Routes are lists of { x, z } points along road centre lines, from the start
+ * to the destination, plus their length in metres.
+ */
+
+const MAX_EXPANDED = 20000; // Intersections searched before giving up
+
+const manhattan = (a, b) => Math.abs(a.x - b.x) + Math.abs(a.z - b.z);
+
+export function routeLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) length += manhattan(points[i - 1], points[i]);
+    return length;
+}
+
+// Returns { points, length }, or null if no route was found within the search cap
+export function findRoute(network, from, to) {
+    const start = network.nearestSegment(from.x, from.z);
+    const goal = network.nearestSegment(to.x, to.z);
+    const startPoint = { x: start.x, z: start.z };
+    const goalPoint = { x: goal.x, z: goal.z };
+
+    // Same stretch of road: drive straight there
+    if (start.from.id === goal.from.id && start.to.id === goal.to.id) {
+        const points = [startPoint, goalPoint];
+        return { points, length: routeLength(points) };
+    }
+
+    const goalCost = new Map([[goal.from.id, manhattan(goal.from, goalPoint)], [goal.to.id, manhattan(goal.to, goalPoint)]]);
+    const open = new Map(); // id -> { node, g, f, parent }
+    const closed = new Map();
+    [start.from, start.to].forEach(node => {
+        const g = manhattan(startPoint, node);
+        open.set(node.id, { node, g, f: g + manhattan(node, goalPoint), parent: null });
+    });
+
+    let best = null; // Cheapest complete route seen so far: { entry, cost }
+    while (open.size && closed.size < MAX_EXPANDED) {
+        // Lowest f; ties go to the deeper node, which keeps grid searches narrow
+        let current = null;
+        open.forEach(entry => {
+            if (!current || entry.f < current.f || (entry.f === current.f && entry.g > current.g)) current = entry;
+        });
+        if (best && current.f >= best.cost) break;
+        open.delete(current.node.id);
+        closed.set(current.node.id, current);
+
+        if (goalCost.has(current.node.id)) {
+            const cost = current.g + goalCost.get(current.node.id);
+            if (!best || cost < best.cost) best = { entry: current, cost };
+        }
+
+        network.neighbors(current.node).forEach(node => {
+            if (closed.has(node.id)) return;
+            const g = current.g + manhattan(current.node, node);
+            const known = open.get(node.id);
+            if (known && known.g <= g) return;
+            open.set(node.id, { node, g, f: g + manhattan(node, goalPoint), parent: current });
+        });
+    }
+    if (!best) return null;
+
+    const points = [goalPoint];
+    for (let entry = best.entry; entry; entry = entry.parent) points.push({ x: entry.node.x, z: entry.node.z });
+    points.push(startPoint);
+    points.reverse();
+    return { points, length: best.cost };
+}
@@ -0,0 +1,176 @@
+/**
+ * Input
+ * Keyboard, on-screen touch buttons and gamepads all feed one set of driving
+ * controls, so the car only ever sees analog values:
+ *   steer -1..1 (positive = left), throttle 0..1, brake 0..1, handbrake.
+ * Keys and touch buttons are simply full deflection; a gamepad's stick and
+ * triggers give everything in between.
+ *
+ * One-shot actions (reset, camera, vehicle, garage, map, mute, pause) fire callbacks
+ * registered with on() the moment a bound key or button goes down.
+ *
+ * Gamepads are read with poll() once per frame (the Gamepad API has no
+ * events for buttons or axes). Button numbers follow the browser's "standard"
+ * layout: 0 A, 1 B, 2 X, 3 Y, 4 LB, 5 RB, 6 LT, 7 RT, 8 Back, 9 Start.
+ *
+ * Split-screen runs two of these side by side: each has its own keys and
+ * reads its own pad (setPadIndex), so both players can share one keyboard.
+ */
+
+// Keys for each control and action (KeyboardEvent.key, lower-cased)
+export const KEY_BINDINGS = {
+    throttle: ['w'],
+    brake: ['s'],
+    left: ['a'],
+    right: ['d'],
+    handbrake: [' '],
+    reset: ['r'],
+    camera: ['c'],
+    vehicle: ['v'],
+    garage: ['g'],
+    map: ['m'],
+    mute: ['n'],
+    pause: ['p']
+};
+
+// Gamepad buttons for the digital controls; steering, throttle and brake are analog
+export const PAD_BINDINGS = {
+    handbrake: [0, 5],
+    reset: [8],
+    camera: [3],
+    vehicle: [2],
+    garage: [4],
+    map: [1],
+    pause: [9]
+};
+
+// Player two in split-screen: the arrow-key side of the keyboard (not rebindable)
+export const P2_KEY_BINDINGS = {
+    throttle: ['arrowup'],
+    brake: ['arrowdown'],
+    left: ['arrowleft'],
+    right: ['arrowright'],
+    handbrake: ['enter'],
+    reset: ['.'],
+    camera: [',']
+};
+
+export const ACTIONS = ['reset', 'camera', 'vehicle', 'garage', 'map', 'mute', 'pause'];
+
+const PAD_STEER_AXIS = 0;     // Left stick, horizontal
+const PAD_THROTTLE_BUTTON = 7; // Right trigger
+const PAD_BRAKE_BUTTON = 6;    // Left trigger
+
+// Ignore stick wobble near the centre, then rescale so the output still spans 0..1
+function applyDeadzone(value, deadzone) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= deadzone) return 0;
+    return Math.sign(value) * Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+}
+
+// index: the nth connected pad, or null to prefer one the browser has mapped to the standard layout
+function pickGamepad(pads, index) {
+    const connected = Array.from(pads || []).filter(pad => pad && pad.connected);
+    if (index !== null) return connected[index] || null;
+    return connected.find(pad => pad.mapping === 'standard') || connected[0] || null;
+}
+
+export function createInput({ keyBindings: initialKeys = KEY_BINDINGS, padBindings = PAD_BINDINGS, padIndex: initialPad = null, deadzone = 0.15 } = {}) {
+    let keyBindings = initialKeys;
+    let padIndex = initialPad;
+    const heldKeys = new Set();
+    const touch = new Set();    // Controls held on the on-screen buttons
+    const listeners = {};
+    let pad = { steer: 0, throttle: 0, brake: 0, held: new Set() };
+
+    function emit(action) {
+        (listeners[action] || []).forEach(fn => fn());
+    }
+
+    // Controls missing from the bindings simply have no key
+    function keysFor(control) {
+        return keyBindings[control] || [];
+    }
+
+    function bound(control) {
+        return keysFor(control).some(key => heldKeys.has(key)) || touch.has(control);
+    }
+
+    function on(action, fn) {
+        (listeners[action] = listeners[action] || []).push(fn);
+    }
+
+    // `key` is KeyboardEvent.key lower-cased; repeat is KeyboardEvent.repeat
+    function keyDown(key, repeat = false) {
+        heldKeys.add(key);
+        if (repeat) return;
+        ACTIONS.forEach(action => { if (keysFor(action).includes(key)) emit(action); });
+    }
+
+    function keyUp(key) {
+        heldKeys.delete(key);
+    }
+
+    // On-screen buttons: hold a driving control, or fire an action once
+    function setTouch(control, down) {
+        if (down) touch.add(control);
+        else touch.delete(control);
+    }
+
+    // Swap in new key bindings (from the settings menu); keys held now are forgotten
+    function setKeyBindings(bindings) {
+        keyBindings = bindings;
+        heldKeys.clear();
+    }
+
+    // Which connected pad to read (see pickGamepad)
+    function setPadIndex(index) {
+        padIndex = index;
+    }
+
+    function trigger(action) {
+        emit(action);
+    }
+
+    // Forget everything held, e.g. when a menu takes over the keyboard
+    function release() {
+        heldKeys.clear();
+        touch.clear();
+    }
+
+    // Call once per frame with navigator.getGamepads()
+    function poll(pads) {
+        const gamepad = pickGamepad(pads, padIndex);
+        if (!gamepad) {
+            pad = { steer: 0, throttle: 0, brake: 0, held: new Set() };
+            return;
+        }
+        const value = (i) => (gamepad.buttons[i] ? gamepad.buttons[i].value : 0);
+        const pressed = (i) => !!(gamepad.buttons[i] && gamepad.buttons[i].pressed);
+        const held = new Set();
+        Object.keys(padBindings).forEach(control => {
+            if (padBindings[control].some(pressed)) held.add(control);
+        });
+        const next = {
+            steer: -applyDeadzone(gamepad.axes[PAD_STEER_AXIS] || 0, deadzone),
+            throttle: applyDeadzone(value(PAD_THROTTLE_BUTTON), deadzone),
+            brake: applyDeadzone(value(PAD_BRAKE_BUTTON), deadzone),
+            held
+        };
+        ACTIONS.forEach(action => { if (held.has(action) && !pad.held.has(action)) emit(action); });
+        pad = next;
+    }
+
+    // Combined analog state from every device
+    function read() {
+        const keySteer = (bound('left') ? 1 : 0) - (bound('right') ? 1 : 0);
+        return {
+            steer: Math.max(-1, Math.min(1, keySteer + pad.steer)),
+            throttle: Math.max(bound('throttle') ? 1 : 0, pad.throttle),
+            brake: Math.max(bound('brake') ? 1 : 0, pad.brake),
+            handbrake: bound('handbrake') || pad.held.has('handbrake')
+        };
+    }
+
+    return { on, keyDown, keyUp, setTouch, setKeyBindings, setPadIndex, trigger, release, poll, read };
+}
@@ -0,0 +1,31 @@
+/**
+ * Fixed-Step Loop
+ * Runs the simulation in fixed steps however often frames arrive, carrying
+ * what's left over into the next frame, so handling and scores don't depend
+ * on the display's refresh rate. The clock (seconds) is passed in, so tests
+ * can move time by hand.
+ */
+
+export function createFixedStepLoop({ clock, step, fixedTimeStep = 1 / 60, maxFrameTime = 0.25 }) {
+    let accumulator = 0;
+    let lastTime = null;
+
+    // Steps as often as the time since the last frame allows (none while paused).
+    // Returns how far the frame is between the last two steps (0-1), for interpolation
+    function frame(paused = false) {
+        const now = clock();
+        // Clamp long frames (tab switches, breakpoints) so we never spiral
+        const frameTime = lastTime === null ? 0 : Math.min(now - lastTime, maxFrameTime);
+        lastTime = now;
+        if (!paused) {
+            accumulator += frameTime;
+            while (accumulator >= fixedTimeStep) {
+                step(fixedTimeStep);
+                accumulator -= fixedTimeStep;
+            }
+        }
+        return accumulator / fixedTimeStep;
+    }
+
+    return { frame };
+}
@@ -0,0 +1,248 @@
+/**
+ * Pedestrians
+ * People walking the sidewalk round their city block, who jump out of the way
+ * of a car heading for them and get knocked flying by one they can't dodge.
+ */
+
+import { createRNG } from './random.js';
+
+const WALK_SPEED = [1.1, 1.7]; // m/s
+const RUN_SPEED = 5;
+const DANGER_SPEED = 3;      // Slower cars are no threat
+const DANGER_TIME = 1.5;     // How far ahead (in seconds) a car's path is watched
+const DANGER_WIDTH = 3;      // Half-width of a car's path that counts as in the way
+const DODGE_DISTANCE = 3.5;  // How far aside a pedestrian jumps
+const DODGE_WAIT = 1.5;      // Seconds to wait before stepping back onto the sidewalk
+const HIT_RADIUS = 2.5;      // From the car's centre
+const KNOCKED_TIME = 4;      // Seconds on the ground before getting up
+const GRAVITY = 9.82;
+const SPAWN_INTERVAL = 0.2;
+const SPAWN_CLEARANCE = 3;
+
+// The loop along the middle of the sidewalk around a block
+function blockRing(block, sidewalk) {
+    const ring = {
+        minX: block.minX - sidewalk / 2,
+        maxX: block.maxX + sidewalk / 2,
+        minZ: block.minZ - sidewalk / 2,
+        maxZ: block.maxZ + sidewalk / 2
+    };
+    ring.width = ring.maxX - ring.minX;
+    ring.depth = ring.maxZ - ring.minZ;
+    ring.length = 2 * (ring.width + ring.depth);
+    return ring;
+}
+
+// Point `s` metres round the ring from its min corner, with the direction of travel
+function ringPoint(ring, s) {
+    s = ((s % ring.length) + ring.length) % ring.length;
+    const { minX, maxX, minZ, maxZ, width, depth } = ring;
+    if (s < width) return { x: minX + s, z: minZ, dx: 1, dz: 0 };
+    s -= width;
+    if (s < depth) return { x: maxX, z: minZ + s, dx: 0, dz: 1 };
+    s -= depth;
+    if (s < width) return { x: maxX - s, z: maxZ, dx: -1, dz: 0 };
+    s -= width;
+    return { x: minX, z: maxZ - s, dx: 0, dz: -1 };
+}
+
+// Distance round the ring of the ring point closest to (x, z)
+function ringDistance(ring, x, z) {
+    const { minX, maxX, minZ, maxZ, width, depth } = ring;
+    const cx = Math.min(maxX, Math.max(minX, x));
+    const cz = Math.min(maxZ, Math.max(minZ, z));
+    const sides = [
+        { gap: Math.abs(cz - minZ), s: cx - minX },
+        { gap: Math.abs(maxX - cx), s: width + (cz - minZ) },
+        { gap: Math.abs(maxZ - cz), s: width + depth + (maxX - cx) },
+        { gap: Math.abs(cx - minX), s: 2 * width + depth + (maxZ - cz) }
+    ];
+    return sides.reduce((a, b) => (b.gap < a.gap ? b : a)).s;
+}
+
+export function createPedestrians({
+    network,
+    seed,
+    maxAgents = 30,
+    density = 3,            // Pedestrians per city block within spawnRadius
+    spawnRadius = 150,
+    minSpawnDistance = 60,  // Never pop in right next to the player
+    despawnRadius = 220
+}) {
+    const rng = createRNG(seed);
+    const agents = [];
+    let nextId = 0;
+    let spawnTimer = 0;
+    let spawnTurn = 0;
+
+    function trySpawn(player) {
+        const r = spawnRadius;
+        const blocks = network.blocksInRect(player.x - r, player.z - r, player.x + r, player.z + r)
+            .filter(block => block.maxX - block.minX > 10 && block.maxZ - block.minZ > 10);
+        const target = Math.min(maxAgents, Math.round(blocks.length * density));
+        if (agents.length >= target || !blocks.length) return null;
+
+        const ring = blockRing(blocks[rng.int(0, blocks.length - 1)], network.sidewalk);
+        const s = rng() * ring.length;
+        const { x, z } = ringPoint(ring, s);
+        const distance = Math.hypot(x - player.x, z - player.z);
+        if (distance < minSpawnDistance || distance > spawnRadius) return null;
+        if (agents.some(a => Math.hypot(a.x - x, a.z - z) < SPAWN_CLEARANCE)) return null;
+
+        const agent = {
+            id: nextId++,
+            x, z, y: 0,
+            heading: 0,
+            speed: 0,
+            stride: 0,              // Distance walked, for the walk animation
+            fall: 0,                // 0 = upright, 1 = flat on the ground
+            state: 'walk',          // 'walk' | 'dodge' | 'back' | 'knocked'
+            ring, s,
+            dir: rng() < 0.5 ? 1 : -1,
+            walkSpeed: rng.range(...WALK_SPEED),
+            target: null,
+            timer: 0,
+            vx: 0, vy: 0, vz: 0
+        };
+        face(agent, ringPoint(ring, s));
+        agents.push(agent);
+        return agent;
+    }
+
+    function face(agent, point) {
+        agent.heading = Math.atan2(-point.dx * agent.dir, -point.dz * agent.dir);
+    }
+
+    // A player's car about to run this pedestrian over, or null
+    function threat(agent, players) {
+        return players.find(player => {
+            const speedSq = player.vx * player.vx + player.vz * player.vz;
+            if (speedSq < DANGER_SPEED * DANGER_SPEED) return false;
+            const dx = agent.x - player.x;
+            const dz = agent.z - player.z;
+            const t = (dx * player.vx + dz * player.vz) / speedSq; // Time to the closest approach
+            if (t <= 0 || t > DANGER_TIME) return false;
+            return Math.abs(dx * player.vz - dz * player.vx) / Math.sqrt(speedSq) < DANGER_WIDTH;
+        }) || null;
+    }
+
+    function dodge(agent, car) {
+        const speed = Math.hypot(car.vx, car.vz);
+        const side = Math.sign((agent.x - car.x) * car.vz - (agent.z - car.z) * car.vx) || 1;
+        // Sideways off the car's path, on whichever side we're already on
+        agent.target = { x: agent.x + (car.vz / speed) * side * DODGE_DISTANCE, z: agent.z - (car.vx / speed) * side * DODGE_DISTANCE };
+        agent.state = 'dodge';
+        agent.timer = DODGE_WAIT;
+    }
+
+    function knock(agent, car) {
+        agent.state = 'knocked';
+        agent.timer = KNOCKED_TIME;
+        agent.vx = car.vx * 0.7;
+        agent.vz = car.vz * 0.7;
+        agent.vy = 2 + Math.hypot(car.vx, car.vz) * 0.15;
+        agent.speed = 0;
+    }
+
+    // Walks toward agent.target; returns true on arrival
+    function walkTo(agent, speed, dt) {
+        const dx = agent.target.x - agent.x;
+        const dz = agent.target.z - agent.z;
+        const distance = Math.hypot(dx, dz);
+        const move = Math.min(distance, speed * dt);
+        if (distance > 0.01) agent.heading = Math.atan2(-dx, -dz);
+        agent.x += (dx / (distance || 1)) * move;
+        agent.z += (dz / (distance || 1)) * move;
+        agent.speed = move / dt;
+        return distance <= speed * dt;
+    }
+
+    function stepBack(agent) {
+        agent.s = ringDistance(agent.ring, agent.x, agent.z);
+        agent.target = ringPoint(agent.ring, agent.s);
+        agent.state = 'back';
+    }
+
+    function move(agent, dt, players, hits) {
+        if (agent.state === 'knocked') {
+            agent.x += agent.vx * dt;
+            agent.z += agent.vz * dt;
+            agent.y = Math.max(0, agent.y + agent.vy * dt);
+            agent.vy -= GRAVITY * dt;
+            if (agent.y === 0) {
+                agent.vy = 0;
+                const friction = Math.max(0, 1 - 5 * dt);
+                agent.vx *= friction;
+                agent.vz *= friction;
+            }
+            agent.fall = Math.min(1, agent.fall + 4 * dt);
+            agent.timer -= dt;
+            if (agent.timer <= 0 && agent.y === 0) stepBack(agent);
+            return;
+        }
+        agent.fall = Math.max(0, agent.fall - 2 * dt);
+
+        const hitBy = players.find(player => Math.hypot(agent.x - player.x, agent.z - player.z) < HIT_RADIUS &&
+            Math.hypot(player.vx, player.vz) > DANGER_SPEED);
+        if (hitBy) {
+            knock(agent, hitBy);
+            hits.push({ agent, speed: Math.hypot(hitBy.vx, hitBy.vz) });
+            return;
+        }
+
+        const car = agent.state === 'dodge' ? null : threat(agent, players);
+        if (car) dodge(agent, car);
+
+        if (agent.state === 'dodge') {
+            if (walkTo(agent, RUN_SPEED, dt)) {
+                agent.speed = 0;
+                agent.timer -= dt;
+                if (agent.timer <= 0) stepBack(agent);
+            }
+        } else if (agent.state === 'back') {
+            if (walkTo(agent, agent.walkSpeed, dt)) agent.state = 'walk';
+        } else {
+            agent.s += agent.dir * agent.walkSpeed * dt;
+            const point = ringPoint(agent.ring, agent.s);
+            agent.x = point.x;
+            agent.z = point.z;
+            agent.speed = agent.walkSpeed;
+            face(agent, point);
+        }
+        agent.stride += agent.speed * dt;
+    }
+
+    // players: [{ x, z, vx, vz }, ...]. Returns the agents spawned, removed and
+    // knocked down this step (hits: [{ agent, speed }])
+    function update(dt, players) {
+        const spawned = [];
+        const removed = [];
+        const hits = [];
+
+        for (let i = agents.length - 1; i >= 0; i--) {
+            const agent = agents[i];
+            if (players.every(player => Math.hypot(agent.x - player.x, agent.z - player.z) > despawnRadius)) {
+                agents.splice(i, 1);
+                removed.push(agent);
+            } else {
+                move(agent, dt, players, hits);
+            }
+        }
+
+        spawnTimer -= dt;
+        if (spawnTimer <= 0) {
+            spawnTimer = SPAWN_INTERVAL;
+            spawnTurn = (spawnTurn + 1) % players.length;
+            const agent = trySpawn(players[spawnTurn]);
+            if (agent) spawned.push(agent);
+        }
+        return { spawned, removed, hits };
+    }
+
+    // Removes every pedestrian (e.g. after teleporting the player); returns them for cleanup
+    function clear() {
+        return agents.splice(0, agents.length);
+    }
+
+    return { agents, update, clear };
+}
@@ -0,0 +1,148 @@
+/**
+ * Checkpoint Race
+ * Closed-loop tracks of gates on the road network (gate 0 is start / finish), and a lap tracker.
+ */
+
+import { loadRecord, isRecord } from './storage.js';
+
+// Corners are road-network node indices [i, j], visited in order and closed back to the first
+export const TRACKS = [
+    { id: 'city-loop', name: 'CITY LOOP', corners: [[0, 0], [0, 2], [2, 2], [2, 0]] },
+    { id: 'grand-circuit', name: 'GRAND CIRCUIT', corners: [[0, 0], [0, 3], [-3, 3], [-3, -2], [-1, -2], [-1, 0]] }
+];
+
+const WRONG_WAY_DELAY = 1; // Seconds of driving against the route before warning
+
+export function buildRoute(network, track) {
+    const gates = [];
+    const corners = track.corners;
+    corners.forEach((corner, c) => {
+        const next = corners[(c + 1) % corners.length];
+        const di = Math.sign(next[0] - corner[0]);
+        const dj = Math.sign(next[1] - corner[1]);
+        if (di !== 0 && dj !== 0) throw new Error('Track "' + track.id + '" has a diagonal leg at corner ' + c);
+
+        for (let i = corner[0], j = corner[1]; i !== next[0] || j !== next[1]; i += di, j += dj) {
+            const edge = network.edge(network.node(i, j), network.node(i + di, j + dj));
+            gates.push({
+                index: gates.length,
+                x: (edge.x0 + edge.x1) / 2,
+                z: (edge.z0 + edge.z1) / 2,
+                dirX: di,
+                dirZ: dj,
+                halfWidth: edge.width / 2 + 1
+            });
+        }
+    });
+
+    // Standing start just behind the line, facing along the first leg
+    const first = gates[0];
+    const start = {
+        x: first.x - first.dirX * 15,
+        z: first.z - first.dirZ * 15,
+        angle: Math.atan2(-first.dirX, -first.dirZ) // Car forward is (-sin a, -cos a)
+    };
+    return { track, gates, start };
+}
+
+// Which side of a gate line a point is on (positive = past it), and how far off-centre
+function gateSide(gate, x, z) {
+    const dx = x - gate.x;
+    const dz = z - gate.z;
+    return { along: dx * gate.dirX + dz * gate.dirZ, across: Math.abs(dx * gate.dirZ - dz * gate.dirX) };
+}
+
+export function createLapTracker(route, { laps }) {
+    const state = {
+        lap: 0,            // 0 until the car first crosses the start line
+        nextGate: 0,
+        lapStart: 0,
+        splits: [],        // Seconds since lap start at each gate of the current lap
+        lapTimes: [],
+        wrongWay: false,
+        finished: false
+    };
+    let lastX = null;
+    let lastZ = null;
+    let wrongWayTime = 0;
+
+    // Feed the car position / velocity once per fixed step; returns what happened this step
+    function update(x, z, vx, vz, time, dt) {
+        const events = [];
+        if (state.finished) return events;
+
+        const gate = route.gates[state.nextGate];
+        if (lastX !== null) {
+            const before = gateSide(gate, lastX, lastZ);
+            const after = gateSide(gate, x, z);
+            if (before.along < 0 && after.along >= 0 && after.across <= gate.halfWidth) {
+                events.push(...passGate(gate, time));
+            }
+        }
+        lastX = x;
+        lastZ = z;
+
+        // Wrong way: moving against the direction of the gate we're heading for
+        const speed = Math.hypot(vx, vz);
+        const target = route.gates[state.nextGate];
+        const against = speed > 3 && (vx * target.dirX + vz * target.dirZ) / speed < -0.5;
+        wrongWayTime = against ? wrongWayTime + dt : 0;
+        state.wrongWay = wrongWayTime > WRONG_WAY_DELAY;
+        return events;
+    }
+
+    function passGate(gate, time) {
+        const events = [];
+        if (gate.index === 0) {
+            if (state.lap > 0) {
+                const lapTime = time - state.lapStart;
+                state.lapTimes.push(lapTime);
+                events.push({ type: 'lap', lap: state.lap, time: lapTime, splits: state.splits.slice() });
+            }
+            if (state.lap === laps) {
+                state.finished = true;
+                events.push({ type: 'finish', lapTimes: state.lapTimes.slice() });
+                return events;
+            }
+            state.lap++;
+            state.lapStart = time;
+            state.splits = [];
+        } else {
+            const split = time - state.lapStart;
+            state.splits.push(split);
+            events.push({ type: 'gate', gate: gate.index, split });
+        }
+        state.nextGate = (gate.index + 1) % route.gates.length;
+        return events;
+    }
+
+    return { state, update };
+}
+
+// Best lap (time + gate splits) per track and per vehicle
+export function createBestLaps(storage = localStorage) {
+    const STORAGE_KEY = 'gtaBestLaps';
+    const records = loadRecord(storage, STORAGE_KEY);
+
+    function get(trackKey, vehicleId) {
+        return (records[trackKey] && records[trackKey][vehicleId]) || null;
+    }
+
+    // Returns true if the lap is a new best
+    function submit(trackKey, vehicleId, lap) {
+        const best = get(trackKey, vehicleId);
+        if (best && best.time <= lap.time) return false;
+        if (!isRecord(records[trackKey])) records[trackKey] = {};
+        records[trackKey][vehicleId] = { time: lap.time, splits: lap.splits };
+        storage.setItem(STORAGE_KEY, JSON.stringify(records));
+        return true;
+    }
+
+    return { get, submit };
+}
+
+export function formatRaceTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = seconds - minutes * 60;
+    return minutes + ':' + rest.toFixed(2).padStart(5, '0');
+}
@@ -0,0 +1,46 @@
+/**
+ * Seeded Random Number Generation
+ * Every piece of procedural content pulls from these helpers instead of
+ * Math.random() so a seed always reproduces the same world.
+ */
+
+// Mulberry32: tiny, fast and good enough for level generation
+export function createRNG(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    next.range = (min, max) => min + next() * (max - min);
+    next.int = (min, max) => Math.floor(min + next() * (max - min + 1));
+    return next;
+}
+
+// Turns any string (e.g. "?seed=downtown") into a 32-bit seed
+export function hashSeed(value) {
+    const text = String(value);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// Mixes a seed with two integer coordinates into a new, well-spread 32-bit seed
+export function mixSeed(seed, a, b) {
+    let h = (seed >>> 0) ^ Math.imul(a | 0, 0x27d4eb2d) ^ Math.imul(b | 0, 0x165667b1);
+    h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+// Numeric seeds are used as-is, anything else is hashed
+export function parseSeed(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (/^\d+$/.test(value)) return Number(value) >>> 0;
+    return hashSeed(value);
+}
@@ -0,0 +1,120 @@
+/**
+ * Ghost Replays
+ * Records the car's transform at a fixed rate, keeps the best run per
+ * mode / track / seed, and packs runs into a compact JSON format that can be
+ * exported and shared.
+ *
+ * Packed format (version 1):
+ *   { v: 1, key, mode, seed, track, rate, result, vehicles: [ids],
+ *     frames: [x, y, z, angle, vehicle, ...] }
+ * Positions are stored in centimetres and angles in milliradians, both as
+ * deltas from the previous frame, so most numbers are tiny integers.
+ */
+
+import { loadRecord } from './storage.js';
+
+const VERSION = 1;
+const FIELDS = 5;
+const STORAGE_KEY = 'gtaGhosts';
+
+export function createRecorder(rate) {
+    const frames = [];
+
+    // Call every simulation step with the run clock; samples at `rate` Hz.
+    // The epsilon stops float drift in the clock from pushing a sample a step late.
+    function record(time, x, y, z, angle, vehicle) {
+        if (time < frames.length / rate - 1e-6) return;
+        frames.push({ x, y, z, angle, vehicle });
+    }
+
+    return { rate, frames, record };
+}
+
+export function packReplay(meta, recorder) {
+    const vehicles = [];
+    const frames = [];
+    let prev = [0, 0, 0, 0];
+    recorder.frames.forEach(frame => {
+        if (!vehicles.includes(frame.vehicle)) vehicles.push(frame.vehicle);
+        const q = [Math.round(frame.x * 100), Math.round(frame.y * 100), Math.round(frame.z * 100), Math.round(frame.angle * 1000)];
+        frames.push(q[0] - prev[0], q[1] - prev[1], q[2] - prev[2], q[3] - prev[3], vehicles.indexOf(frame.vehicle));
+        prev = q;
+    });
+    return { v: VERSION, ...meta, rate: recorder.rate, vehicles, frames };
+}
+
+// Validates a packed replay (e.g. an imported file) and expands it for playback
+export function unpackReplay(data) {
+    if (!data || typeof data !== 'object') throw new Error('Replay is not an object');
+    if (data.v !== VERSION) throw new Error('Unsupported replay version: ' + data.v);
+    if (typeof data.key !== 'string') throw new Error('Replay is missing its key');
+    if (!(data.rate > 0)) throw new Error('Replay rate must be positive');
+    if (!Array.isArray(data.vehicles) || !data.vehicles.every(id => typeof id === 'string')) throw new Error('Replay vehicles must be a list of ids');
+    if (!Array.isArray(data.frames) || data.frames.length % FIELDS !== 0 || !data.frames.every(Number.isInteger)) {
+        throw new Error('Replay frames are malformed');
+    }
+
+    const frames = [];
+    const acc = [0, 0, 0, 0];
+    for (let i = 0; i < data.frames.length; i += FIELDS) {
+        for (let k = 0; k < 4; k++) acc[k] += data.frames[i + k];
+        const vehicle = data.vehicles[data.frames[i + 4]];
+        if (vehicle === undefined) throw new Error('Replay frame ' + i / FIELDS + ' has an unknown vehicle');
+        frames.push({ x: acc[0] / 100, y: acc[1] / 100, z: acc[2] / 100, angle: acc[3] / 1000, vehicle });
+    }
+    return { ...data, frames };
+}
+
+// Interpolated ghost transform at a point on the run clock (null once the replay has ended)
+export function sampleReplay(replay, time) {
+    const frames = replay.frames;
+    if (!frames.length) return null;
+    const position = time * replay.rate;
+    const i = Math.floor(position);
+    if (i >= frames.length - 1) return i === frames.length - 1 ? { ...frames[i] } : null;
+
+    const a = frames[Math.max(i, 0)];
+    const b = frames[Math.max(i + 1, 0)];
+    const t = Math.min(Math.max(position - i, 0), 1);
+    let turn = b.angle - a.angle;
+    turn = Math.atan2(Math.sin(turn), Math.cos(turn)); // Shortest way round
+    return {
+        x: a.x + (b.x - a.x) * t,
+        y: a.y + (b.y - a.y) * t,
+        z: a.z + (b.z - a.z) * t,
+        angle: a.angle + turn * t,
+        vehicle: a.vehicle
+    };
+}
+
+// Higher score wins Time Attack, lower time wins races
+export function isBetterResult(result, than) {
+    if (!than) return true;
+    if (result.time !== undefined) return result.time < than.time;
+    return result.score > than.score;
+}
+
+export function createGhostStore(storage = localStorage) {
+    const ghosts = loadRecord(storage, STORAGE_KEY);
+
+    function save() {
+        storage.setItem(STORAGE_KEY, JSON.stringify(ghosts));
+    }
+
+    // Returns the packed replay for a key, or null
+    function get(key) {
+        return ghosts[key] || null;
+    }
+
+    // Keeps the packed replay only if it beats the stored one (force = replace regardless, for imports).
+    // Throws if storage is full; the replay is still kept until the page is closed
+    function submit(packed, force = false) {
+        const current = ghosts[packed.key];
+        if (!force && current && !isBetterResult(packed.result, current.result)) return false;
+        ghosts[packed.key] = packed;
+        save();
+        return true;
+    }
+
+    return { get, submit };
+}
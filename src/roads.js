@@ -0,0 +1,212 @@
+/**
+ * Road Network
+ * An endless, seeded street grid with jittered spacing, intersections and city blocks.
+ */
+
+import { createRNG, mixSeed } from './random.js';
+
+const AXIS_SALT = { x: 0x51ed27, z: 0x2f9a61 };
+
+export function createRoadNetwork({
+    seed,
+    spacing = 120,      // Average distance between parallel streets
+    jitter = 0.15,      // Max street offset as a fraction of spacing
+    avenueEvery = 4,    // Every Nth street is a wide 4-lane avenue
+    streetWidth = 20,
+    avenueWidth = 30,
+    sidewalk = 4        // Gap between the kerb and the first building lot
+} = {}) {
+    const cache = { x: new Map(), z: new Map() };
+
+    // A single infinite street. axis 'x' = constant X (runs along Z)
+    function line(axis, index) {
+        const lines = cache[axis];
+        let result = lines.get(index);
+        if (result) return result;
+
+        const rng = createRNG(mixSeed(seed, index, AXIS_SALT[axis]));
+        const offset = index === 0 ? 0 : (rng() * 2 - 1) * jitter * spacing; // Main Street stays on the origin
+        const avenue = index % avenueEvery === 0;
+        result = {
+            axis,
+            index,
+            pos: index * spacing + offset,
+            width: avenue ? avenueWidth : streetWidth,
+            lanes: avenue ? 2 : 1 // Per direction
+        };
+        lines.set(index, result);
+        return result;
+    }
+
+    // Index of the last street at or before a coordinate
+    function indexBelow(axis, value) {
+        let i = Math.floor(value / spacing);
+        while (line(axis, i).pos > value) i--;
+        while (line(axis, i + 1).pos <= value) i++;
+        return i;
+    }
+
+    // Street indices whose tarmac overlaps [min, max]
+    function indicesBetween(axis, min, max) {
+        const result = [];
+        const pad = avenueWidth / 2;
+        for (let i = indexBelow(axis, min - pad); line(axis, i).pos - pad <= max; i++) {
+            const l = line(axis, i);
+            if (l.pos + l.width / 2 >= min && l.pos - l.width / 2 <= max) result.push(i);
+        }
+        return result;
+    }
+
+    function node(i, j) {
+        const lx = line('x', i);
+        const lz = line('z', j);
+        return { id: i + ',' + j, i, j, x: lx.pos, z: lz.pos, sizeX: lx.width, sizeZ: lz.width };
+    }
+
+    // All four neighbours: the grid has no dead ends
+    function neighbors(n) {
+        return [node(n.i + 1, n.j), node(n.i - 1, n.j), node(n.i, n.j + 1), node(n.i, n.j - 1)];
+    }
+
+    // Road between two adjacent intersections. x0/z0 -> x1/z1 is the
+    // drivable strip between the two intersection squares.
+    function edge(from, to) {
+        if (from.i > to.i || from.j > to.j) [from, to] = [to, from];
+        const along = from.i === to.i ? 'z' : 'x';
+        const road = along === 'z' ? line('x', from.i) : line('z', from.j);
+        const e = { id: from.id + '|' + to.id, from, to, along, width: road.width, lanes: road.lanes };
+        if (along === 'z') {
+            e.x0 = e.x1 = road.pos;
+            e.z0 = from.z + from.sizeZ / 2;
+            e.z1 = to.z - to.sizeZ / 2;
+        } else {
+            e.z0 = e.z1 = road.pos;
+            e.x0 = from.x + from.sizeX / 2;
+            e.x1 = to.x - to.sizeX / 2;
+        }
+        e.length = Math.abs(e.x1 - e.x0) + Math.abs(e.z1 - e.z0);
+        return e;
+    }
+
+    function nodesInRect(minX, minZ, maxX, maxZ) {
+        const result = [];
+        for (let i = indexBelow('x', minX - 1e-6) + 1; line('x', i).pos < maxX; i++) {
+            for (let j = indexBelow('z', minZ - 1e-6) + 1; line('z', j).pos < maxZ; j++) {
+                result.push(node(i, j));
+            }
+        }
+        return result;
+    }
+
+    // Road edges whose strip overlaps the rect (a long edge can appear in several rect queries)
+    function edgesInRect(minX, minZ, maxX, maxZ) {
+        const result = [];
+        for (const i of indicesBetween('x', minX, maxX)) {
+            for (let j = indexBelow('z', minZ); line('z', j).pos < maxZ; j++) {
+                result.push(edge(node(i, j), node(i, j + 1)));
+            }
+        }
+        for (const j of indicesBetween('z', minZ, maxZ)) {
+            for (let i = indexBelow('x', minX); line('x', i).pos < maxX; i++) {
+                result.push(edge(node(i, j), node(i + 1, j)));
+            }
+        }
+        return result;
+    }
+
+    // City block bounded by streets i / i+1 and j / j+1, shrunk by the sidewalk
+    function block(i, j) {
+        const west = line('x', i), east = line('x', i + 1);
+        const south = line('z', j), north = line('z', j + 1);
+        const b = {
+            id: i + ',' + j,
+            i, j,
+            seed: mixSeed(seed, i, j),
+            minX: west.pos + west.width / 2 + sidewalk,
+            maxX: east.pos - east.width / 2 - sidewalk,
+            minZ: south.pos + south.width / 2 + sidewalk,
+            maxZ: north.pos - north.width / 2 - sidewalk
+        };
+        b.centerX = (b.minX + b.maxX) / 2;
+        b.centerZ = (b.minZ + b.maxZ) / 2;
+        return b;
+    }
+
+    function blockAt(x, z) {
+        return block(indexBelow('x', x), indexBelow('z', z));
+    }
+
+    // Blocks whose centre lies in [min, max) so each block has exactly one owner
+    function blocksInRect(minX, minZ, maxX, maxZ) {
+        const result = [];
+        for (let i = indexBelow('x', minX) - 1; line('x', i).pos < maxX; i++) {
+            for (let j = indexBelow('z', minZ) - 1; line('z', j).pos < maxZ; j++) {
+                const b = block(i, j);
+                if (b.centerX >= minX && b.centerX < maxX && b.centerZ >= minZ && b.centerZ < maxZ) result.push(b);
+            }
+        }
+        return result;
+    }
+
+    // Closest point on any road centre line
+    function nearestRoadPoint(x, z) {
+        const ix = indexBelow('x', x);
+        const iz = indexBelow('z', z);
+        const candidates = [
+            { x: line('x', ix).pos, z, road: line('x', ix) },
+            { x: line('x', ix + 1).pos, z, road: line('x', ix + 1) },
+            { x, z: line('z', iz).pos, road: line('z', iz) },
+            { x, z: line('z', iz + 1).pos, road: line('z', iz + 1) }
+        ];
+        let best = null;
+        let bestDist = Infinity;
+        for (const c of candidates) {
+            const dist = Math.abs(c.x - x) + Math.abs(c.z - z);
+            if (dist < bestDist) { bestDist = dist; best = c; }
+        }
+        best.distance = bestDist;
+        return best;
+    }
+
+    // Closest road point plus the two intersections either side of it
+    function nearestSegment(x, z) {
+        const p = nearestRoadPoint(x, z);
+        if (p.road.axis === 'x') {
+            const j = indexBelow('z', p.z);
+            return { x: p.x, z: p.z, from: node(p.road.index, j), to: node(p.road.index, j + 1) };
+        }
+        const i = indexBelow('x', p.x);
+        return { x: p.x, z: p.z, from: node(i, p.road.index), to: node(i + 1, p.road.index) };
+    }
+
+    function isOnRoad(x, z, margin = 0) {
+        const p = nearestRoadPoint(x, z);
+        return p.distance <= p.road.width / 2 + margin;
+    }
+
+    function nodeAt(x, z) {
+        const ix = indexBelow('x', x);
+        const iz = indexBelow('z', z);
+        const i = x - line('x', ix).pos < line('x', ix + 1).pos - x ? ix : ix + 1;
+        const j = z - line('z', iz).pos < line('z', iz + 1).pos - z ? iz : iz + 1;
+        return node(i, j);
+    }
+
+    return {
+        spacing,
+        sidewalk,
+        line,
+        node,
+        nodeAt,
+        neighbors,
+        edge,
+        nodesInRect,
+        edgesInRect,
+        block,
+        blockAt,
+        blocksInRect,
+        nearestRoadPoint,
+        nearestSegment,
+        isOnRoad
+    };
+}
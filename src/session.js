@@ -0,0 +1,67 @@
+/**
+ * Run Session
+ * The rules of a run apart from the driving: which mode is being played, the
+ * score, the Time Attack clock and the saved high score. Storage is passed in
+ * (localStorage in the browser), so whole runs can be played out in tests.
+ */
+
+const HIGH_SCORE_KEY = 'gtaHighScore';
+const HIGH_SCORE_SEED_KEY = 'gtaHighScoreSeed';
+
+export function createSession({ timeAttackSeconds = 60 } = {}, storage = localStorage) {
+    const state = {
+        mode: null,          // 'timeAttack' | 'race', null outside a run
+        score: 0,
+        timeLeft: timeAttackSeconds,
+        over: false,
+        highScore: Number(storage.getItem(HIGH_SCORE_KEY)) || 0,
+        highScoreSeed: storage.getItem(HIGH_SCORE_SEED_KEY) // World seed the high score was set on
+    };
+
+    function start(mode) {
+        state.mode = mode;
+        state.score = 0;
+        state.timeLeft = timeAttackSeconds;
+        state.over = false;
+    }
+
+    function addPoints(points) {
+        state.score += points;
+    }
+
+    // Time Attack loses time (other modes keep their own clock); returns whether it applied
+    function penalty(seconds) {
+        if (state.mode !== 'timeAttack' || state.over) return false;
+        state.timeLeft = Math.max(0, state.timeLeft - seconds);
+        return true;
+    }
+
+    // Runs the Time Attack clock; returns true on the step it runs out
+    function tick(dt) {
+        if (state.mode !== 'timeAttack' || state.over) return false;
+        state.timeLeft = Math.max(0, state.timeLeft - dt);
+        if (state.timeLeft > 0) return false;
+        state.over = true;
+        return true;
+    }
+
+    // Ends the run and saves a new high score. Returns { score, highScore, highScoreSeed, newBest }
+    function finish(seed) {
+        state.over = true;
+        const newBest = state.score > state.highScore;
+        if (newBest) {
+            state.highScore = state.score;
+            state.highScoreSeed = String(seed);
+            storage.setItem(HIGH_SCORE_KEY, state.highScore);
+            storage.setItem(HIGH_SCORE_SEED_KEY, state.highScoreSeed);
+        }
+        return { score: state.score, highScore: state.highScore, highScoreSeed: state.highScoreSeed, newBest };
+    }
+
+    function quit() {
+        state.mode = null;
+        state.over = false;
+    }
+
+    return { state, start, addPoints, penalty, tick, finish, quit };
+}
@@ -0,0 +1,136 @@
+/**
+ * Settings
+ * Key bindings and graphics options, persisted to localStorage. Saved values
+ * are checked on load, so a hand-edited or outdated entry falls back to the
+ * default instead of breaking the game. Each control has one key; binding a
+ * key that's already in use swaps the two controls. Player two's split-screen
+ * keys are fixed, so player one can't take them.
+ */
+
+import { KEY_BINDINGS, P2_KEY_BINDINGS } from './input.js';
+import { loadRecord } from './storage.js';
+
+const STORAGE_KEY = 'gtaSettings';
+
+// Shadow map resolution per quality level (0 = no shadows)
+export const SHADOW_QUALITY = { off: 0, low: 1024, medium: 2048, high: 4096 };
+export const MINIMAP_SIZES = { small: 140, medium: 200, large: 260 };
+
+const RESERVED_KEYS = new Set(Object.values(P2_KEY_BINDINGS).flat());
+
+// Numeric settings: [min, max]
+export const SETTING_RANGES = {
+    fov: [60, 100],            // Degrees, landscape (portrait screens get +25)
+    renderScale: [0.5, 1.5],   // Pixel ratio of the 3D view
+    buildingDensity: [0.25, 1] // Share of city lots that get a building
+};
+
+export const CONTROL_NAMES = {
+    throttle: 'ACCELERATE',
+    brake: 'BRAKE / REVERSE',
+    left: 'STEER LEFT',
+    right: 'STEER RIGHT',
+    handbrake: 'HANDBRAKE',
+    reset: 'RESET / REPAIR',
+    camera: 'CAMERA',
+    vehicle: 'CHANGE CAR',
+    garage: 'GARAGE',
+    map: 'CITY MAP',
+    mute: 'MUTE',
+    pause: 'PAUSE'
+};
+
+function defaultSettings() {
+    const keys = {};
+    Object.keys(CONTROL_NAMES).forEach(control => { keys[control] = KEY_BINDINGS[control][0]; });
+    return { fov: 75, shadows: 'medium', renderScale: 1, buildingDensity: 1, minimap: 'medium', keys };
+}
+
+// How a KeyboardEvent.key (lower-cased) is shown on screen
+export function keyLabel(key) {
+    const names = { ' ': 'SPACE', arrowup: '↑', arrowdown: '↓', arrowleft: '←', arrowright: '→', escape: 'ESC' };
+    return names[key] || key.toUpperCase();
+}
+
+// Whether a key belongs to player two and can't be bound
+export function isReservedKey(key) {
+    return RESERVED_KEYS.has(key);
+}
+
+function sanitizeValue(name, value, fallback) {
+    if (SETTING_RANGES[name]) {
+        const [min, max] = SETTING_RANGES[name];
+        return typeof value === 'number' && isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+    }
+    if (name === 'shadows') return Object.hasOwn(SHADOW_QUALITY, value) ? value : fallback;
+    if (name === 'minimap') return Object.hasOwn(MINIMAP_SIZES, value) ? value : fallback;
+    return fallback;
+}
+
+// Keeps only known controls with a key that isn't player two's. A control added
+// since the settings were saved gets its default key, and a saved control already
+// on that key goes back to its own default (the map took M from mute, pause took
+// P). If a key is still bound twice after that, every binding resets
+function sanitizeKeys(saved, defaults) {
+    const keys = { ...defaults };
+    if (!saved || typeof saved !== 'object') return keys;
+    const added = [];
+    Object.keys(defaults).forEach(control => {
+        const key = saved[control];
+        if (typeof key !== 'string' || !key) added.push(control);
+        else if (!isReservedKey(key)) keys[control] = key;
+    });
+    added.forEach(control => {
+        const clash = Object.keys(keys).find(other => other !== control && keys[other] === keys[control]);
+        if (clash) keys[clash] = defaults[clash];
+    });
+    const used = Object.values(keys);
+    return used.length === new Set(used).size ? keys : { ...defaults };
+}
+
+export function createSettings(storage = localStorage) {
+    const defaults = defaultSettings();
+    const saved = loadRecord(storage, STORAGE_KEY);
+
+    const values = { keys: sanitizeKeys(saved.keys, defaults.keys) };
+    Object.keys(defaults).forEach(name => {
+        if (name !== 'keys') values[name] = sanitizeValue(name, saved[name], defaults[name]);
+    });
+
+    function save() {
+        storage.setItem(STORAGE_KEY, JSON.stringify(values));
+    }
+
+    // Returns the stored (clamped) value
+    function set(name, value) {
+        values[name] = sanitizeValue(name, value, values[name]);
+        save();
+        return values[name];
+    }
+
+    // Returns the control that had `key` before (now given this control's old key), or null.
+    // Player two's keys are refused (see isReservedKey)
+    function bind(control, key) {
+        if (isReservedKey(key)) return null;
+        const previous = Object.keys(values.keys).find(other => values.keys[other] === key && other !== control) || null;
+        if (previous) values.keys[previous] = values.keys[control];
+        values.keys[control] = key;
+        save();
+        return previous;
+    }
+
+    // In the { control: [keys] } shape src/input.js expects
+    function keyBindings() {
+        const bindings = {};
+        Object.keys(values.keys).forEach(control => { bindings[control] = [values.keys[control]]; });
+        return bindings;
+    }
+
+    function reset() {
+        const fresh = defaultSettings();
+        Object.keys(fresh).forEach(name => { values[name] = fresh[name]; });
+        save();
+    }
+
+    return { values, set, bind, keyBindings, reset };
+}
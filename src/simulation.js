@@ -0,0 +1,153 @@
+/**
+ * Headless Simulation
+ * The game with no screen attached: the physics world, the ground slab, the
+ * player's car, the coins and the run session, advanced on a fixed timestep.
+ * game.js builds the city, models, sound and HUD on top of it; in Node the
+ * same simulation runs from scripted input, a fake clock and in-memory storage.
+ *
+ * Everything outside is passed in: the physics library (cannon-es), the input
+ * (controls() returns { steer, throttle, brake, handbrake }, as read() from
+ * src/input.js does), the clock (seconds) and storage (localStorage-like).
+ * The game hooks its own per-step work in with beforeStep(dt, driving), just
+ * before the physics step, and afterStep(dt, events, driving).
+ *
+ * Each step reports what happened as events: { type: 'coins', count, points },
+ * { type: 'reset' } and { type: 'timeUp' }.
+ */
+
+import { createCar } from './car.js';
+import { createCoinField } from './coins.js';
+import { createSession } from './session.js';
+import { createFixedStepLoop } from './loop.js';
+
+export const SIMULATION_DEFAULTS = {
+    gravity: -9.82,
+    solverIterations: 10,
+    fixedTimeStep: 1 / 60,
+    maxFrameTime: 0.25,
+    floorSize: 4000,    // Ground slab width, centred under the car
+    floorTile: 10,      // The slab moves in whole steps of this, so the grass texture doesn't swim
+    throttleRate: 4,    // Throttle travel per second (0 -> full in 0.25s)
+    steerRate: 5,       // Full steering locks per second
+    timeAttackSeconds: 60,
+    maxCoins: Infinity,
+    coinRadius: 3,      // Pickup distance
+    coinPoints: 10
+};
+
+// World with a sort-and-sweep broadphase (the naive default tests every pair of bodies)
+// and the ground / car materials
+export function createPhysicsWorld(CANNON, { gravity, solverIterations }) {
+    const world = new CANNON.World({ gravity: new CANNON.Vec3(0, gravity, 0) });
+    world.solver.iterations = solverIterations;
+    world.broadphase = new CANNON.SAPBroadphase(world);
+
+    const materials = {
+        ground: new CANNON.Material(),
+        box: new CANNON.Material()
+    };
+    world.addContactMaterial(new CANNON.ContactMaterial(materials.ground, materials.box, {
+        friction: 0.05,
+        restitution: 0.0
+    }));
+    return { world, materials };
+}
+
+// Ground slab that follows a car, so the endless city never runs out of floor.
+// (A Box rather than a Plane: the vehicle's suspension rays don't reliably hit Plane shapes.)
+export function createFloor(CANNON, world, material, size) {
+    const body = new CANNON.Body({
+        type: CANNON.Body.STATIC,
+        shape: new CANNON.Box(new CANNON.Vec3(size / 2, 5, size / 2)),
+        material
+    });
+    body.position.set(0, -5, 0);
+    world.addBody(body);
+    return body;
+}
+
+export function followFloor(floor, position, tile) {
+    floor.position.x = Math.round(position.x / tile) * tile;
+    floor.position.z = Math.round(position.z / tile) * tile;
+    floor.aabbNeedsUpdate = true;
+}
+
+export function createSimulation({
+    CANNON,
+    controls,
+    clock,
+    storage,
+    isDriving = null,               // () => whether the player has control; by default, while a run is on
+    surface = () => ({ grip: 1, brake: 1 }), // Road grip and braking multipliers (wet roads)
+    handling = (car) => car.handling, // The car's handling this step (the game wears it down with damage)
+    beforeStep = () => {},
+    afterStep = () => {},
+    ...options
+}) {
+    const settings = { ...SIMULATION_DEFAULTS, ...options };
+    const { world, materials } = createPhysicsWorld(CANNON, settings);
+    const floor = createFloor(CANNON, world, materials.ground, settings.floorSize);
+    const coins = createCoinField({ max: settings.maxCoins, radius: settings.coinRadius, points: settings.coinPoints });
+    const session = createSession({ timeAttackSeconds: settings.timeAttackSeconds }, storage);
+    const hasControl = isDriving || (() => session.state.mode !== null && !session.state.over);
+    const loop = createFixedStepLoop({ clock, step, fixedTimeStep: settings.fixedTimeStep, maxFrameTime: settings.maxFrameTime });
+
+    const sim = { world, materials, floor, coins, session, player: null, settings, spawnCar, requestReset, step, frame };
+    let resetRequested = false; // Handled on the next step
+
+    // Replaces the player's car (a new class, new tuning or a repair). Returns the car
+    function spawnCar(def, carHandling, position, quaternion) {
+        if (sim.player) sim.player.remove();
+        sim.player = createCar({
+            CANNON, world, def, handling: carHandling, material: materials.box, position, quaternion,
+            throttleRate: settings.throttleRate, steerRate: settings.steerRate
+        });
+        return sim.player;
+    }
+
+    function requestReset() {
+        resetRequested = true;
+    }
+
+    function step(dt) {
+        const car = sim.player;
+        const events = [];
+        const driving = hasControl();
+        car.snap();
+        followFloor(floor, car.body.position, settings.floorTile);
+        car.sense();
+        if (resetRequested) {
+            resetRequested = false;
+            car.reset();
+            events.push({ type: 'reset' });
+        }
+
+        beforeStep(dt, driving);
+        const { grip, brake } = surface();
+        car.drive(dt, controls(), { driving, stats: handling(car), grip, brake });
+        world.step(dt);
+        car.measureSkid();
+
+        // Coins only count in Time Attack
+        if (driving && session.state.mode === 'timeAttack') {
+            const { x, y, z } = car.body.position;
+            const taken = coins.pickUp(x, y + car.def.collision.modelOffsetY, z);
+            if (taken.length) {
+                const points = taken.length * coins.points;
+                session.addPoints(points);
+                events.push({ type: 'coins', count: taken.length, points });
+            }
+        }
+        if (driving && session.tick(dt)) events.push({ type: 'timeUp' });
+
+        afterStep(dt, events, driving);
+        return events;
+    }
+
+    // Steps for the time passed on the clock since the last frame; returns the interpolation alpha
+    function frame(paused = false) {
+        return loop.frame(paused);
+    }
+
+    return sim;
+}
@@ -0,0 +1,48 @@
+/**
+ * Spatial Hash
+ * Buckets items on the ground plane into square cells, so "what's within r
+ * of here?" only looks at the few cells the circle touches instead of every
+ * item. Items are any objects with `x` and `z`; they must not move while
+ * they're in the hash (remove, move, insert again).
+ */
+
+export function createSpatialHash(cellSize) {
+    const cells = new Map(); // "cx,cz" -> Set of items
+    const cellOf = (v) => Math.floor(v / cellSize);
+    const keyOf = (cx, cz) => cx + ',' + cz;
+
+    function insert(item) {
+        const key = keyOf(cellOf(item.x), cellOf(item.z));
+        if (!cells.has(key)) cells.set(key, new Set());
+        cells.get(key).add(item);
+    }
+
+    function remove(item) {
+        const key = keyOf(cellOf(item.x), cellOf(item.z));
+        const cell = cells.get(key);
+        if (!cell) return;
+        cell.delete(item);
+        if (!cell.size) cells.delete(key);
+    }
+
+    // Items no further than `radius` from (x, z)
+    function query(x, z, radius) {
+        const found = [];
+        for (let cx = cellOf(x - radius); cx <= cellOf(x + radius); cx++) {
+            for (let cz = cellOf(z - radius); cz <= cellOf(z + radius); cz++) {
+                const cell = cells.get(keyOf(cx, cz));
+                if (!cell) continue;
+                cell.forEach(item => {
+                    if (Math.hypot(item.x - x, item.z - z) <= radius) found.push(item);
+                });
+            }
+        }
+        return found;
+    }
+
+    function clear() {
+        cells.clear();
+    }
+
+    return { insert, remove, query, clear };
+}
@@ -0,0 +1,16 @@
+/**
+ * Saved Data
+ * Reads a JSON object back from localStorage (or anything with getItem).
+ */
+
+export const isRecord = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// The object saved under key, or {} if it's missing, unreadable or not an object
+export function loadRecord(storage, key) {
+    try {
+        const value = JSON.parse(storage.getItem(key));
+        return isRecord(value) ? value : {};
+    } catch (err) {
+        return {};
+    }
+}
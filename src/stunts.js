@@ -0,0 +1,127 @@
+/**
+ * Stunt Scoring
+ * Drifts, jumps and near misses build a combo that is banked after a pause and lost on a crash.
+ */
+
+const wrapAngle = (a) => Math.atan2(Math.sin(a), Math.cos(a));
+
+export const STUNT_NAMES = { drift: 'DRIFT', air: 'BIG AIR', nearMiss: 'NEAR MISS' };
+
+export function createStuntScorer({
+    driftAngle = 0.35,      // Radians between heading and travel before a slide counts (about 20°)
+    driftSpeed = 8,         // Slower slides don't count
+    minDriftTime = 0.6,     // Seconds a drift has to last to score
+    driftRate = 120,        // Points per second at one radian of slip and 20 m/s
+    minAirTime = 0.4,       // Seconds off the ground before a landing scores
+    airRate = 200,          // Points per second in the air
+    nearMissGap = 2,        // Metres between the car's side and a wall
+    nearMissSpeed = 15,     // Close passes only count at speed
+    nearMissPoints = 75,
+    comboWindow = 2.5,      // Seconds to land the next stunt before the combo is banked
+    maxMultiplier = 8
+} = {}) {
+    const state = {
+        multiplier: 1,
+        comboPoints: 0,    // Points at risk in the current combo (before the multiplier)
+        comboTimer: 0,
+        drift: null,       // { time, points } while sliding
+        air: null,         // Seconds off the ground so far (null until the car has landed since the last crash)
+        nearWall: false,   // Inside the near-miss gap (must leave it before the next one counts)
+        total: 0           // Everything banked this run
+    };
+
+    function addStunt(events, type, points) {
+        points = Math.round(points);
+        state.comboPoints += points;
+        state.multiplier = Math.min(maxMultiplier, state.multiplier + (state.comboPoints > points ? 1 : 0));
+        state.comboTimer = comboWindow;
+        events.push({ type, points, multiplier: state.multiplier });
+    }
+
+    function bankCombo(events) {
+        if (!state.comboPoints) return;
+        const points = state.comboPoints * state.multiplier;
+        state.total += points;
+        events.push({ type: 'bank', points });
+        state.comboPoints = 0;
+        state.multiplier = 1;
+    }
+
+    function endDrift(events) {
+        if (state.drift && state.drift.time >= minDriftTime) addStunt(events, 'drift', state.drift.points);
+        state.drift = null;
+    }
+
+    function endAir(events) {
+        if (state.air >= minAirTime) addStunt(events, 'air', state.air * airRate);
+        state.air = 0;
+    }
+
+    // sample: { heading (forward is (-sin, -cos)), vx, vz (m/s), grounded, wallGap (metres from the car's side to the nearest building) }
+    // Returns events: { type: 'drift' | 'air' | 'nearMiss', points, multiplier } or { type: 'bank', points }
+    function update(dt, { heading, vx, vz, grounded, wallGap }) {
+        const events = [];
+        const speed = Math.hypot(vx, vz);
+
+        // Drift: sliding sideways on the ground (travelling backwards is just reversing)
+        const slip = speed > 1 ? Math.abs(wrapAngle(Math.atan2(-vx, -vz) - heading)) : 0;
+        if (grounded && speed >= driftSpeed && slip >= driftAngle && slip < Math.PI / 2) {
+            state.drift = state.drift || { time: 0, points: 0 };
+            state.drift.time += dt;
+            state.drift.points += driftRate * dt * Math.min(slip, 1.2) * Math.min(speed / 20, 1.5);
+        } else {
+            endDrift(events);
+        }
+
+        // Airtime: scored on landing
+        if (grounded) endAir(events);
+        else if (state.air !== null) state.air += dt;
+
+        // Near miss: once per pass, so skimming along a wall doesn't pay out every step
+        if (wallGap < nearMissGap && !state.nearWall) {
+            state.nearWall = true;
+            if (speed >= nearMissSpeed) addStunt(events, 'nearMiss', nearMissPoints);
+        } else if (wallGap > nearMissGap * 2) {
+            state.nearWall = false;
+        }
+
+        // The combo clock only runs between stunts
+        if (!state.drift && !state.air && state.comboPoints) {
+            state.comboTimer -= dt;
+            if (state.comboTimer <= 0) bankCombo(events);
+        }
+        return events;
+    }
+
+    // Points being earned right now: the combo plus a drift or jump still in progress
+    function pending() {
+        const inProgress = (state.drift ? state.drift.points : 0) + (state.air >= minAirTime ? state.air * airRate : 0);
+        return Math.round(state.comboPoints + inProgress);
+    }
+
+    // A crash loses the whole combo; returns the points that were at risk.
+    // Tumbling or dropping after a crash or reset isn't airtime, so that waits for a landing
+    function crash() {
+        const lost = pending() * state.multiplier;
+        state.comboPoints = 0;
+        state.multiplier = 1;
+        state.drift = null;
+        state.air = null;
+        return lost;
+    }
+
+    // End of the run: anything in progress counts, then the combo is banked. Returns the events
+    function finish() {
+        const events = [];
+        endDrift(events);
+        endAir(events);
+        bankCombo(events);
+        return events;
+    }
+
+    function reset() {
+        Object.assign(state, { multiplier: 1, comboPoints: 0, comboTimer: 0, drift: null, air: null, nearWall: false, total: 0 });
+    }
+
+    return { state, update, pending, crash, finish, reset };
+}
@@ -0,0 +1,200 @@
+/**
+ * AI Traffic
+ * Cars that drive the road network in lanes, turn at intersections and keep their distance.
+ */
+
+import { createRNG } from './random.js';
+
+const SPEED_LIMIT = { street: 11, avenue: 15 }; // m/s
+const TURN_SPEED = 6;        // Max speed through a turn
+const MAX_TURN_RATE = 1.6;   // rad/s
+const ACCELERATION = 3;
+const BRAKING = 12;
+const CAR_LENGTH = 6;        // Gap kept to the obstacle ahead is measured from its centre
+const SIGHT_DISTANCE = 40;   // How far ahead an agent looks for obstacles
+const SIGHT_WIDTH = 3;       // Half-width of the lane ahead that counts as blocked
+const SPAWN_INTERVAL = 0.25; // Seconds between spawn attempts
+const SPAWN_CLEARANCE = 20;  // Min distance from other agents when spawning
+
+const wrapAngle = (a) => Math.atan2(Math.sin(a), Math.cos(a));
+
+export function createTraffic({
+    network,
+    seed,
+    maxAgents = 20,
+    density = 0.3,          // Agents per road segment within spawnRadius
+    spawnRadius = 250,
+    minSpawnDistance = 80,  // Never pop in right next to the player
+    despawnRadius = 350
+}) {
+    const rng = createRNG(seed);
+    const agents = [];
+    let nextId = 0;
+    let spawnTimer = 0;
+    let spawnTurn = 0;
+
+    // A lane from one intersection to the next; (ox, oz) is the lane centre beside `from`
+    function createLeg(from, to, lane) {
+        const edge = network.edge(from, to);
+        const dirX = Math.sign(to.x - from.x);
+        const dirZ = Math.sign(to.z - from.z);
+        const laneIndex = Math.min(lane, edge.lanes - 1);
+        const offset = (edge.width / (edge.lanes * 2)) * (laneIndex + 0.5);
+        return {
+            from, to, dirX, dirZ,
+            lane: laneIndex,
+            ox: from.x - dirZ * offset, // Right of (dirX, dirZ) is (-dirZ, dirX)
+            oz: from.z + dirX * offset,
+            speedLimit: edge.lanes > 1 ? SPEED_LIMIT.avenue : SPEED_LIMIT.street
+        };
+    }
+
+    // Mostly straight on, sometimes left or right, never back the way we came
+    function chooseNextLeg(leg) {
+        const options = network.neighbors(leg.to).filter(n => n.id !== leg.from.id);
+        const straight = options.find(n => Math.sign(n.x - leg.to.x) === leg.dirX && Math.sign(n.z - leg.to.z) === leg.dirZ);
+        const next = straight && rng() < 0.6 ? straight : options[rng.int(0, options.length - 1)];
+        return createLeg(leg.to, next, leg.lane);
+    }
+
+    // Distance along a leg's lane line
+    function legDistance(leg, x, z) {
+        return (x - leg.ox) * leg.dirX + (z - leg.oz) * leg.dirZ;
+    }
+
+    // Where a leg's lane meets the next leg's lane
+    function corner(leg, next) {
+        if (leg.dirX === next.dirX && leg.dirZ === next.dirZ) {
+            return { x: leg.ox + leg.dirX * Math.abs(leg.to.x - leg.from.x), z: leg.oz + leg.dirZ * Math.abs(leg.to.z - leg.from.z) };
+        }
+        return leg.dirX === 0 ? { x: leg.ox, z: next.oz } : { x: next.ox, z: leg.oz };
+    }
+
+    function isTurn(leg, next) {
+        return leg.dirX !== next.dirX || leg.dirZ !== next.dirZ;
+    }
+
+    // Spawns around one player (split-screen takes turns between them)
+    function trySpawn(player) {
+        const r = spawnRadius;
+        const edges = network.edgesInRect(player.x - r, player.z - r, player.x + r, player.z + r);
+        const target = Math.min(maxAgents, Math.round(edges.length * density));
+        if (agents.length >= target || !edges.length) return null;
+
+        const edge = edges[rng.int(0, edges.length - 1)];
+        const forward = rng() < 0.5;
+        const leg = createLeg(forward ? edge.from : edge.to, forward ? edge.to : edge.from, rng.int(0, edge.lanes - 1));
+        const t = rng.range(0.1, 0.9);
+        const x = leg.dirX === 0 ? leg.ox : edge.x0 + (edge.x1 - edge.x0) * t;
+        const z = leg.dirZ === 0 ? leg.oz : edge.z0 + (edge.z1 - edge.z0) * t;
+
+        const distance = Math.hypot(x - player.x, z - player.z);
+        if (distance < minSpawnDistance || distance > spawnRadius) return null;
+        if (agents.some(a => Math.hypot(a.x - x, a.z - z) < SPAWN_CLEARANCE)) return null;
+
+        const cruise = leg.speedLimit * rng.range(0.7, 1.05);
+        const agent = {
+            id: nextId++,
+            x, z,
+            heading: Math.atan2(-leg.dirX, -leg.dirZ), // Forward is (-sin, -cos), like the player's car
+            speed: cruise * 0.8,
+            turnRate: 0,
+            cruise,
+            legs: [leg, chooseNextLeg(leg)],
+            wrecked: false // Set by the game once physics takes over; the agent is then left alone
+        };
+        agents.push(agent);
+        return agent;
+    }
+
+    // Slowest speed any obstacle in the lane ahead allows
+    function allowedSpeed(agent, players) {
+        const fx = -Math.sin(agent.heading);
+        const fz = -Math.cos(agent.heading);
+        let limit = Infinity;
+        const check = (x, z) => {
+            const dx = x - agent.x;
+            const dz = z - agent.z;
+            const along = dx * fx + dz * fz;
+            if (along <= 0 || along > SIGHT_DISTANCE || Math.abs(dx * fz - dz * fx) > SIGHT_WIDTH) return;
+            const gap = along - CAR_LENGTH;
+            limit = Math.min(limit, Math.max(0, gap - 2) * 0.8);
+        };
+        agents.forEach(other => { if (other !== agent) check(other.x, other.z); });
+        players.forEach(player => check(player.x, player.z));
+        return limit;
+    }
+
+    function drive(agent, dt, players) {
+        let [leg, next] = agent.legs;
+
+        // Move on to the next leg once we're into the turn
+        const cut = isTurn(leg, next) ? 4 : 0;
+        let end = corner(leg, next);
+        if (legDistance(leg, agent.x, agent.z) >= legDistance(leg, end.x, end.z) - cut) {
+            leg = next;
+            next = chooseNextLeg(leg);
+            agent.legs = [leg, next];
+            end = corner(leg, next);
+        }
+
+        // Chase a point `lookahead` metres down the lane
+        const lookahead = Math.max(6, agent.speed * 0.8);
+        const remaining = legDistance(leg, end.x, end.z) - legDistance(leg, agent.x, agent.z);
+        let targetX, targetZ;
+        if (lookahead <= remaining) {
+            const s = legDistance(leg, agent.x, agent.z) + lookahead;
+            targetX = leg.ox + leg.dirX * s;
+            targetZ = leg.oz + leg.dirZ * s;
+        } else {
+            targetX = end.x + next.dirX * (lookahead - remaining);
+            targetZ = end.z + next.dirZ * (lookahead - remaining);
+        }
+        const desired = Math.atan2(-(targetX - agent.x), -(targetZ - agent.z));
+        const turn = Math.max(-MAX_TURN_RATE * dt, Math.min(MAX_TURN_RATE * dt, wrapAngle(desired - agent.heading)));
+        agent.heading = wrapAngle(agent.heading + turn);
+        agent.turnRate = turn / dt;
+
+        // Speed: cruise, slow for turns, and keep clear of whatever is ahead
+        let target = Math.min(agent.cruise, allowedSpeed(agent, players));
+        if (isTurn(leg, next) && remaining < 25) target = Math.min(target, TURN_SPEED);
+        agent.speed = target < agent.speed
+            ? Math.max(target, agent.speed - BRAKING * dt)
+            : Math.min(target, agent.speed + ACCELERATION * dt);
+
+        agent.x -= Math.sin(agent.heading) * agent.speed * dt;
+        agent.z -= Math.cos(agent.heading) * agent.speed * dt;
+    }
+
+    // players: [{ x, z }, ...]. Returns the agents spawned and removed this step.
+    function update(dt, players) {
+        const spawned = [];
+        const removed = [];
+
+        for (let i = agents.length - 1; i >= 0; i--) {
+            const agent = agents[i];
+            if (players.every(player => Math.hypot(agent.x - player.x, agent.z - player.z) > despawnRadius)) {
+                agents.splice(i, 1);
+                removed.push(agent);
+            } else if (!agent.wrecked) {
+                drive(agent, dt, players);
+            }
+        }
+
+        spawnTimer -= dt;
+        if (spawnTimer <= 0) {
+            spawnTimer = SPAWN_INTERVAL;
+            spawnTurn = (spawnTurn + 1) % players.length;
+            const agent = trySpawn(players[spawnTurn]);
+            if (agent) spawned.push(agent);
+        }
+        return { spawned, removed };
+    }
+
+    // Removes every agent (e.g. after teleporting the player); returns them for cleanup
+    function clear() {
+        return agents.splice(0, agents.length);
+    }
+
+    return { agents, update, clear };
+}
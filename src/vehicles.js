@@ -0,0 +1,171 @@
+/**
+ * Vehicle Definitions
+ * Loads car classes from JSON (data/vehicles.json by default) and validates
+ * them before the game builds any models or physics from them.
+ *
+ * A definition has:
+ *   id, name, color ("#rrggbb" or number), scale
+ *   collision: { halfExtents: [x, y, z] (world units), modelOffsetY }
+ *   handling:  { mass, maxSpeed, engineForce (per driven wheel), brakeForce (per wheel), steer,
+ *                suspensionStiffness, suspensionDamping, suspensionRestLength, grip, driftGrip }
+ *   sound:     { idle, redline (engine Hz), gears, wave (oscillator type) } (optional)
+ *   model:     { parts: [{ name (unique), size, position, rotation?, material }],
+ *                spoiler: { size, position, struts } | null,
+ *                wheels: { radius, width, positions: [{ x, z, steer, drive }] },
+ *                lights: { headlight: { position, intensity, angle } | null, lamps: [{ size, position, color }] } }
+ * Model sizes and positions are in model units and get multiplied by scale.
+ */
+
+export const MODEL_MATERIALS = ['paint', 'black', 'grey', 'chrome', 'glass'];
+export const ENGINE_WAVES = ['sine', 'square', 'sawtooth', 'triangle'];
+const DEFAULT_SOUND = { idle: 45, redline: 170, gears: 5, wave: 'sawtooth' };
+
+const HANDLING_FIELDS = [
+    'mass', 'maxSpeed', 'engineForce', 'brakeForce', 'steer',
+    'suspensionStiffness', 'suspensionDamping', 'suspensionRestLength', 'grip', 'driftGrip'
+];
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const isPositive = (v) => isNumber(v) && v > 0;
+const isVec3 = (v, check = isNumber) => Array.isArray(v) && v.length === 3 && v.every(check);
+const isColor = (v) => (isNumber(v) && v >= 0 && v <= 0xffffff) || (typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v));
+
+export function parseColor(value) {
+    return typeof value === 'string' ? parseInt(value.slice(1), 16) : value;
+}
+
+// Returns a list of problems; an empty list means the definition is usable
+export function validateVehicleDefinition(def) {
+    const errors = [];
+    const expect = (ok, message) => { if (!ok) errors.push(message); };
+
+    if (!isObject(def)) return ['definition must be an object'];
+
+    expect(typeof def.id === 'string' && def.id.length > 0, 'id must be a non-empty string');
+    expect(typeof def.name === 'string' && def.name.length > 0, 'name must be a non-empty string');
+    expect(isColor(def.color), 'color must be "#rrggbb" or a number');
+    expect(isPositive(def.scale), 'scale must be a positive number');
+
+    const collision = def.collision || {};
+    expect(isVec3(collision.halfExtents, isPositive), 'collision.halfExtents must be three positive numbers');
+    expect(isNumber(collision.modelOffsetY), 'collision.modelOffsetY must be a number');
+
+    const handling = def.handling || {};
+    HANDLING_FIELDS.forEach(field => expect(isPositive(handling[field]), 'handling.' + field + ' must be a positive number'));
+
+    if (def.sound !== undefined) {
+        const sound = def.sound || {};
+        expect(isPositive(sound.idle) && isPositive(sound.redline) && sound.redline > sound.idle, 'sound needs positive idle and redline, redline above idle');
+        expect(Number.isInteger(sound.gears) && sound.gears > 0, 'sound.gears must be a positive integer');
+        expect(ENGINE_WAVES.includes(sound.wave), 'sound.wave must be one of ' + ENGINE_WAVES.join(', '));
+    }
+
+    const model = def.model;
+    if (!isObject(model)) {
+        errors.push('model must be an object');
+        return errors;
+    }
+
+    if (!Array.isArray(model.parts) || model.parts.length === 0) {
+        errors.push('model.parts must be a non-empty array');
+    } else {
+        const names = new Set();
+        model.parts.forEach((part, i) => {
+            const label = 'model.parts[' + i + ']';
+            if (!isObject(part)) {
+                errors.push(label + ' must be an object');
+                return;
+            }
+            // game.js finds parts by name to dent and detach them
+            expect(typeof part.name === 'string' && part.name.length > 0 && !names.has(part.name), label + '.name must be a unique non-empty string');
+            names.add(part.name);
+            expect(isVec3(part.size, isPositive), label + '.size must be three positive numbers');
+            expect(isVec3(part.position), label + '.position must be three numbers');
+            expect(part.rotation === undefined || isVec3(part.rotation), label + '.rotation must be three numbers');
+            expect(MODEL_MATERIALS.includes(part.material), label + '.material must be one of ' + MODEL_MATERIALS.join(', '));
+        });
+    }
+
+    if (model.spoiler !== null && model.spoiler !== undefined) {
+        expect(isVec3(model.spoiler.size, isPositive), 'model.spoiler.size must be three positive numbers');
+        expect(isVec3(model.spoiler.position), 'model.spoiler.position must be three numbers');
+    }
+
+    const wheels = model.wheels || {};
+    expect(isPositive(wheels.radius), 'model.wheels.radius must be a positive number');
+    expect(isPositive(wheels.width), 'model.wheels.width must be a positive number');
+    if (!Array.isArray(wheels.positions) || wheels.positions.length < 3) {
+        errors.push('model.wheels.positions must list at least 3 wheels');
+    } else {
+        wheels.positions.forEach((wheel, i) => {
+            expect(isObject(wheel) && isNumber(wheel.x) && isNumber(wheel.z), 'model.wheels.positions[' + i + '] needs numeric x and z');
+        });
+        expect(wheels.positions.some(w => isObject(w) && w.steer), 'model.wheels needs at least one steering wheel');
+        expect(wheels.positions.some(w => isObject(w) && w.drive), 'model.wheels needs at least one driven wheel');
+    }
+
+    const lights = model.lights;
+    if (!isObject(lights)) {
+        errors.push('model.lights must be an object');
+        return errors;
+    }
+    if (lights.headlight) {
+        expect(isVec3(lights.headlight.position), 'model.lights.headlight.position must be three numbers');
+        expect(isPositive(lights.headlight.intensity), 'model.lights.headlight.intensity must be a positive number');
+        expect(isPositive(lights.headlight.angle), 'model.lights.headlight.angle must be a positive number');
+    }
+    if (!Array.isArray(lights.lamps)) {
+        errors.push('model.lights.lamps must be an array');
+        return errors;
+    }
+    lights.lamps.forEach((lamp, i) => {
+        if (!isObject(lamp)) {
+            errors.push('model.lights.lamps[' + i + '] must be an object');
+            return;
+        }
+        expect(isVec3(lamp.size, isPositive) && isVec3(lamp.position), 'model.lights.lamps[' + i + '] needs a size and position');
+        expect(isColor(lamp.color), 'model.lights.lamps[' + i + '].color must be "#rrggbb" or a number');
+    });
+
+    return errors;
+}
+
+// Validates a whole list and normalises colours; throws one error listing every problem
+export function parseVehicleDefinitions(list) {
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error('Vehicle definitions must be a non-empty array');
+    }
+
+    const problems = [];
+    const ids = new Set();
+    list.forEach((def, i) => {
+        const label = def && def.id ? '"' + def.id + '"' : '#' + i;
+        validateVehicleDefinition(def).forEach(message => problems.push(label + ': ' + message));
+        if (def && ids.has(def.id)) problems.push(label + ': duplicate id');
+        if (def) ids.add(def.id);
+    });
+    if (problems.length) {
+        throw new Error('Invalid vehicle definitions:\n  ' + problems.join('\n  '));
+    }
+
+    return list.map(def => ({
+        ...def,
+        color: parseColor(def.color),
+        sound: def.sound || DEFAULT_SOUND,
+        model: {
+            ...def.model,
+            spoiler: def.model.spoiler || null,
+            lights: {
+                headlight: def.model.lights.headlight || null,
+                lamps: def.model.lights.lamps.map(lamp => ({ ...lamp, color: parseColor(lamp.color) }))
+            }
+        }
+    }));
+}
+
+export async function loadVehicleDefinitions(url = new URL('../data/vehicles.json', import.meta.url)) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error('Could not load vehicle definitions from ' + url + ' (' + response.status + ')');
+    return parseVehicleDefinitions(await response.json());
+}
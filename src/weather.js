@@ -0,0 +1,90 @@
+/**
+ * Weather
+ * Clear, rain and fog states that blend in over a few seconds, with road wetness lagging the rain.
+ */
+
+import { createRNG } from './random.js';
+
+// rain: particle amount 0-1, wetness: how wet the roads get, cloud: how much sunlight is lost
+export const WEATHER_TYPES = {
+    clear: { name: 'CLEAR', rain: 0, wetness: 0, cloud: 0, fogNear: 200, fogFar: 1000 },
+    rain: { name: 'RAIN', rain: 1, wetness: 1, cloud: 0.7, fogNear: 80, fogFar: 500 },
+    fog: { name: 'FOG', rain: 0, wetness: 0.4, cloud: 0.5, fogNear: 10, fogFar: 180 }
+};
+
+const WET_GRIP = 0.7;   // Tyre grip on fully wet roads
+const WET_BRAKE = 0.6;  // Brake force on fully wet roads (longer stopping distances)
+const SOAK_TIME = 20;   // Seconds for dry roads to get fully wet
+const DRY_TIME = 90;    // ...and to dry out again
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+export function createWeather({ seed, changeInterval = 120, transitionTime = 15, initial = 'clear' }) {
+    const rng = createRNG(seed);
+    let from = WEATHER_TYPES[initial];
+    let to = from;
+    let progress = 1;       // 0 -> 1 while blending from `from` to `to`
+    let dynamic = true;     // Random changes every changeInterval seconds
+    let timer = changeInterval;
+    let wetness = from.wetness;
+
+    const state = { type: initial, dynamic };
+
+    function blend(key) {
+        return lerp(from[key], to[key], progress);
+    }
+
+    function startTransition(type, instant) {
+        from = instant ? WEATHER_TYPES[type] : current();
+        to = WEATHER_TYPES[type];
+        progress = instant ? 1 : 0;
+        state.type = type;
+        if (instant) wetness = to.wetness;
+    }
+
+    // Snapshot of the blended weather, so a change mid-transition doesn't jump
+    function current() {
+        const keys = ['rain', 'wetness', 'cloud', 'fogNear', 'fogFar'];
+        const result = {};
+        keys.forEach(key => { result[key] = blend(key); });
+        return result;
+    }
+
+    // 'dynamic' keeps the current weather and lets it change over time;
+    // a type name switches to it straight away and holds it
+    function set(choice) {
+        dynamic = choice === 'dynamic';
+        state.dynamic = dynamic;
+        timer = changeInterval;
+        if (!dynamic) startTransition(choice, true);
+    }
+
+    function update(dt) {
+        if (dynamic) {
+            timer -= dt;
+            if (timer <= 0) {
+                timer = changeInterval;
+                const others = Object.keys(WEATHER_TYPES).filter(type => type !== state.type);
+                startTransition(others[rng.int(0, others.length - 1)], false);
+            }
+        }
+        progress = Math.min(1, progress + dt / transitionTime);
+
+        const target = blend('wetness');
+        wetness = target > wetness
+            ? Math.min(target, wetness + dt / SOAK_TIME)
+            : Math.max(target, wetness - dt / DRY_TIME);
+        return params();
+    }
+
+    function params() {
+        return {
+            ...current(),
+            wetness,
+            grip: lerp(1, WET_GRIP, wetness),
+            brake: lerp(1, WET_BRAKE, wetness)
+        };
+    }
+
+    return { state, set, update, params };
+}
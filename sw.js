@@ -0,0 +1,81 @@
+/**
+ * Service Worker
+ * Caches the whole app on install so it runs offline and can be installed as
+ * a PWA. Requests are answered from the cache straight away and refreshed from
+ * the network in the background, so a new version shows up on the next load.
+ *
+ * Add new files to APP_FILES, and bump CACHE_NAME when removing or renaming
+ * one so the old cache is cleared.
+ */
+
+const CACHE_NAME = 'open-world-driver-v1';
+
+const APP_FILES = [
+    './',
+    './index.html',
+    './game.js',
+    './manifest.webmanifest',
+    './icon.svg',
+    './data/vehicles.json',
+    './src/audio.js',
+    './src/car.js',
+    './src/chunks.js',
+    './src/coins.js',
+    './src/damage.js',
+    './src/daynight.js',
+    './src/garage.js',
+    './src/gps.js',
+    './src/input.js',
+    './src/loop.js',
+    './src/pedestrians.js',
+    './src/race.js',
+    './src/random.js',
+    './src/replay.js',
+    './src/roads.js',
+    './src/session.js',
+    './src/settings.js',
+    './src/simulation.js',
+    './src/spatial.js',
+    './src/storage.js',
+    './src/stunts.js',
+    './src/traffic.js',
+    './src/vehicles.js',
+    './src/weather.js',
+    './vendor/three/build/three.module.js',
+    './vendor/three/examples/jsm/controls/OrbitControls.js',
+    './vendor/three/examples/jsm/objects/Sky.js',
+    './vendor/three/examples/jsm/utils/BufferGeometryUtils.js',
+    './vendor/cannon-es/dist/cannon-es.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_FILES)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    // ?seed= and ?time= links all share the one cached page
+    const lookup = request.mode === 'navigate' ? './index.html' : request;
+    event.respondWith(caches.open(CACHE_NAME).then(async (cache) => {
+        const cached = await cache.match(lookup);
+        const refresh = fetch(request).then(response => {
+            if (response.ok) cache.put(lookup, response.clone());
+            return response;
+        });
+        if (cached) {
+            event.waitUntil(refresh.catch(() => {})); // Offline: the cached copy is all we have
+            return cached;
+        }
+        return refresh;
+    }));
+});
@@ -0,0 +1,81 @@
+// Pedestrians (src/pedestrians.js) walking a seeded city. Run with `node --test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRoadNetwork } from '../src/roads.js';
+import { createPedestrians } from '../src/pedestrians.js';
+
+const network = createRoadNetwork({ seed: 7 });
+
+function setup(options = {}) {
+    return createPedestrians({ network, seed: 3, minSpawnDistance: 0, ...options });
+}
+
+function run(pedestrians, seconds, players) {
+    const events = { spawned: [], hits: [] };
+    for (let t = 0; t < seconds; t += 1 / 60) {
+        const { spawned, hits } = pedestrians.update(1 / 60, typeof players === 'function' ? players() : players);
+        events.spawned.push(...spawned);
+        events.hits.push(...hits);
+    }
+    return events;
+}
+
+const parked = [{ x: 0, z: 0, vx: 0, vz: 0 }];
+
+test('pedestrians spawn up to the cap and keep to the sidewalks', () => {
+    const pedestrians = setup({ maxAgents: 12 });
+    run(pedestrians, 10, parked);
+    assert.equal(pedestrians.agents.length, 12);
+    run(pedestrians, 20, parked);
+    pedestrians.agents.forEach(agent => {
+        assert.equal(agent.state, 'walk');
+        assert.ok(!network.isOnRoad(agent.x, agent.z), 'on the road at ' + agent.x.toFixed(1) + ', ' + agent.z.toFixed(1));
+        assert.ok(network.isOnRoad(agent.x, agent.z, network.sidewalk), 'off the sidewalk at ' + agent.x.toFixed(1) + ', ' + agent.z.toFixed(1));
+    });
+    assert.ok(pedestrians.agents.every(agent => agent.stride > 20), 'everyone walked');
+});
+
+test('a pedestrian jumps out of the way of a car heading for them', () => {
+    const pedestrians = setup({ maxAgents: 1 });
+    run(pedestrians, 1, parked);
+    const [agent] = pedestrians.agents;
+    const start = { x: agent.x, z: agent.z };
+
+    // A car 20 m away doing 15 m/s straight at where they stand
+    const car = { x: start.x + 20, z: start.z, vx: -15, vz: 0 };
+    const { hits } = run(pedestrians, 1 / 60, [car]);
+    assert.equal(hits.length, 0);
+    assert.equal(agent.state, 'dodge');
+    run(pedestrians, 1, [car]);
+    assert.ok(Math.abs(agent.z - start.z) > 3, 'stepped off the car\'s path');
+});
+
+test('a pedestrian who is hit gets knocked flying, then gets back up', () => {
+    const pedestrians = setup({ maxAgents: 1 });
+    run(pedestrians, 1, parked);
+    const [agent] = pedestrians.agents;
+    const car = { x: agent.x + 1, z: agent.z, vx: -12, vz: 0 };
+    const { hits } = run(pedestrians, 1 / 60, [car]);
+    assert.equal(hits.length, 1);
+    assert.equal(hits[0].agent, agent);
+    assert.equal(agent.state, 'knocked');
+
+    run(pedestrians, 0.3, parked);
+    assert.ok(agent.y > 0, 'in the air');
+    run(pedestrians, 3, parked);
+    assert.equal(agent.y, 0);
+    assert.equal(agent.fall, 1, 'lying down');
+    run(pedestrians, 10, parked);
+    assert.equal(agent.state, 'walk');
+    assert.equal(agent.fall, 0);
+    assert.ok(!network.isOnRoad(agent.x, agent.z), 'back on the sidewalk');
+});
+
+test('pedestrians far from every player despawn', () => {
+    const pedestrians = setup({ maxAgents: 5 });
+    run(pedestrians, 5, parked);
+    assert.equal(pedestrians.agents.length, 5);
+    const { removed } = pedestrians.update(1 / 60, [{ x: 5000, z: 5000, vx: 0, vz: 0 }]);
+    assert.equal(removed.length, 5);
+});
@@ -0,0 +1,46 @@
+// Loading saved settings (src/settings.js) from in-memory storage. Run with `node --test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSettings } from '../src/settings.js';
+
+function memoryStorage(saved) {
+    const items = new Map(saved ? [['gtaSettings', JSON.stringify(saved)]] : []);
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+test('saved option names from the object prototype fall back to the default', () => {
+    const settings = createSettings(memoryStorage({ shadows: 'toString', minimap: 'constructor' }));
+    assert.equal(settings.values.shadows, 'medium');
+    assert.equal(settings.values.minimap, 'medium');
+    assert.equal(settings.set('shadows', 'hasOwnProperty'), 'medium');
+    assert.equal(settings.set('shadows', 'high'), 'high');
+});
+
+test('a control added since the settings were saved takes its default key back', () => {
+    // Saved before the city map (M) and pause (P) existed, with mute on M and the camera moved to P
+    const keys = { throttle: 'i', brake: 'k', left: 'j', right: 'l', handbrake: ' ', reset: 'r', camera: 'p', vehicle: 'v', garage: 'g', mute: 'm' };
+    const settings = createSettings(memoryStorage({ keys }));
+    assert.equal(settings.values.keys.map, 'm');
+    assert.equal(settings.values.keys.mute, 'n');
+    assert.equal(settings.values.keys.pause, 'p');
+    assert.equal(settings.values.keys.camera, 'c');
+    assert.equal(settings.values.keys.throttle, 'i', 'the other custom keys are kept');
+});
+
+test('keys bound twice in saved settings reset every binding', () => {
+    const settings = createSettings(memoryStorage({ keys: { throttle: 'i', brake: 'i' } }));
+    assert.equal(settings.values.keys.throttle, 'w');
+    assert.equal(settings.values.keys.brake, 's');
+});
+
+test("player two's keys can't be bound to player one's controls", () => {
+    const settings = createSettings(memoryStorage({ keys: { throttle: 'arrowup', brake: 'k' } }));
+    assert.equal(settings.values.keys.throttle, 'w', 'a saved player two key is dropped');
+    assert.equal(settings.values.keys.brake, 'k');
+    assert.equal(settings.bind('left', 'arrowleft'), null);
+    assert.equal(settings.values.keys.left, 'a');
+});
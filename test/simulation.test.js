@@ -0,0 +1,217 @@
+// Drives the headless simulation (src/simulation.js) with scripted keys, a fake clock and
+// in-memory storage: no browser, no WebGL. Run with `node --test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import * as CANNON from '../vendor/cannon-es/dist/cannon-es.js';
+import { createSimulation } from '../src/simulation.js';
+import { createChunkManager } from '../src/chunks.js';
+import { createInput } from '../src/input.js';
+import { parseVehicleDefinitions } from '../src/vehicles.js';
+
+const vehicles = parseVehicleDefinitions(JSON.parse(readFileSync(new URL('../data/vehicles.json', import.meta.url), 'utf8')));
+const f1 = vehicles.find(def => def.id === 'f1');
+
+function memoryStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+function setup({ storage = memoryStorage(), def = f1, ...options } = {}) {
+    let now = 0;
+    const input = createInput();
+    const sim = createSimulation({ CANNON, controls: input.read, storage, clock: () => now, ...options });
+    sim.spawnCar(def, def.handling, new CANNON.Vec3(0, 2, 0), new CANNON.Quaternion());
+    const events = [];
+    const run = (seconds) => {
+        for (let t = 0; t < seconds; t += 1 / 60) events.push(...sim.step(1 / 60));
+    };
+    const tick = (seconds, paused = false) => {
+        now += seconds;
+        return sim.frame(paused);
+    };
+    return { sim, input, storage, events, run, tick };
+}
+
+const groundSpeed = (car) => Math.hypot(car.body.velocity.x, car.body.velocity.z);
+
+test('the car settles on its wheels and stays put without input', () => {
+    const { sim, run } = setup();
+    sim.session.start('timeAttack');
+    run(2);
+    const car = sim.player;
+    assert.ok(car.body.position.y > 0 && car.body.position.y < 2, 'resting height ' + car.body.position.y);
+    assert.ok(car.vehicle.wheelInfos.every(wheel => wheel.isInContact));
+    assert.ok(groundSpeed(car) < 0.2);
+});
+
+test('throttle accelerates forward (-Z) up to the top speed, brake stops the car, then reverses', () => {
+    const { sim, input, run } = setup();
+    sim.session.start('race');
+    run(1);
+    input.keyDown('w');
+    run(2);
+    const car = sim.player;
+    const early = car.state.speed;
+    assert.ok(early > 5, 'speed after 2s ' + early);
+    assert.ok(car.body.position.z < -5, 'moved forward');
+    assert.ok(Math.abs(car.body.position.x) < 1, 'drove straight');
+
+    run(10);
+    assert.ok(car.state.speed > early);
+    assert.ok(car.state.speed < f1.handling.maxSpeed * 1.1, 'capped near maxSpeed, got ' + car.state.speed);
+
+    input.keyUp('w');
+    input.keyDown('s');
+    let braking = 0;
+    while (car.state.speed > 1 && braking < 10) {
+        run(0.1);
+        braking += 0.1;
+    }
+    assert.ok(braking < 6, 'stopped after ' + braking.toFixed(1) + 's');
+    run(2);
+    assert.ok(car.state.speed < -1, 'reversing, got ' + car.state.speed);
+});
+
+test('steering left turns the heading left', () => {
+    const { sim, input, run } = setup();
+    sim.session.start('race');
+    run(1);
+    input.keyDown('w');
+    run(1.5);
+    input.keyDown('a');
+    run(1);
+    assert.ok(sim.player.state.heading > 0.2, 'heading ' + sim.player.state.heading);
+});
+
+test('out of a run the car gets no throttle', () => {
+    const { sim, input, run } = setup();
+    run(1);
+    input.keyDown('w');
+    run(2);
+    assert.equal(sim.session.state.mode, null);
+    assert.ok(groundSpeed(sim.player) < 0.2);
+});
+
+test('driving over a coin picks it up and scores it in Time Attack', () => {
+    const { sim, input, run, events } = setup();
+    sim.session.start('timeAttack');
+    const owner = {};
+    sim.coins.add(owner, 'a', 0, -40);
+    sim.coins.add(owner, 'b', 0, -60);
+    sim.coins.add(owner, 'c', 30, -60); // Off the line
+    run(1);
+    input.keyDown('w');
+    run(4);
+
+    const pickups = events.filter(event => event.type === 'coins');
+    assert.equal(pickups.reduce((n, event) => n + event.count, 0), 2);
+    assert.equal(sim.session.state.score, 20);
+    assert.deepEqual(sim.coins.coins.map(coin => coin.id), ['c']);
+
+    // Collected ids stay collected, so a reloaded tile doesn't bring them back
+    assert.equal(sim.coins.add(owner, 'a', 0, -40), null);
+});
+
+test('coins are left alone outside Time Attack', () => {
+    const { sim, input, run } = setup();
+    sim.session.start('race');
+    sim.coins.add({}, 'a', 0, -40);
+    run(1);
+    input.keyDown('w');
+    run(4);
+    assert.equal(sim.coins.coins.length, 1);
+    assert.equal(sim.session.state.score, 0);
+});
+
+test('the Time Attack clock ends the run once and saves the high score', () => {
+    const storage = memoryStorage({ gtaHighScore: '5', gtaHighScoreSeed: '1' });
+    const { sim, run, events } = setup({ storage, timeAttackSeconds: 3 });
+    assert.equal(sim.session.state.highScore, 5);
+    sim.session.start('timeAttack');
+    sim.session.addPoints(30);
+    run(5);
+    assert.equal(events.filter(event => event.type === 'timeUp').length, 1);
+    assert.equal(sim.session.state.timeLeft, 0);
+
+    const result = sim.session.finish(1234);
+    assert.deepEqual(result, { score: 30, highScore: 30, highScoreSeed: '1234', newBest: true });
+    assert.equal(storage.getItem('gtaHighScore'), '30');
+    assert.equal(storage.getItem('gtaHighScoreSeed'), '1234');
+
+    // A worse run keeps the old best
+    sim.session.start('timeAttack');
+    sim.session.addPoints(10);
+    assert.equal(sim.session.finish(99).newBest, false);
+    assert.equal(storage.getItem('gtaHighScore'), '30');
+});
+
+test('the fixed-step loop steps by the clock, not by frames', () => {
+    const { sim, tick } = setup();
+    sim.session.start('timeAttack'); // The Time Attack clock counts the steps taken
+    tick(0);
+    for (let i = 0; i < 30; i++) tick(1 / 60);
+    assert.ok(Math.abs(sim.session.state.timeLeft - 59.5) < 0.02, 'half a second passed');
+    const alpha = tick(0.2 + 1 / 120);
+    assert.ok(Math.abs(sim.session.state.timeLeft - 59.3) < 0.02, 'one slow frame, 12 steps');
+    assert.ok(Math.abs(alpha - 0.5) < 0.01, 'half a step left over');
+
+    tick(10); // A long stall is clamped to maxFrameTime
+    assert.ok(Math.abs(sim.session.state.timeLeft - 59.05) < 0.02);
+});
+
+test('paused frames do not advance the simulation', () => {
+    const { sim, tick } = setup();
+    sim.session.start('timeAttack');
+    tick(0);
+    const alpha = tick(0.2, true);
+    assert.equal(sim.session.state.timeLeft, 60);
+    assert.ok(alpha >= 0 && alpha < 1);
+});
+
+test('reset puts an upturned car back on its wheels', () => {
+    const { sim, run, events } = setup();
+    sim.session.start('race');
+    run(1);
+    const car = sim.player;
+    car.body.quaternion.setFromEuler(Math.PI, 0.7, 0); // On its roof
+    run(1);
+    sim.requestReset();
+    run(2);
+    assert.equal(events.filter(event => event.type === 'reset').length, 1);
+    assert.ok(car.vehicle.wheelInfos.every(wheel => wheel.isInContact));
+});
+
+// The city no longer wraps around at the edge: the floor follows the car and tiles stream in
+// around it, so far from the origin works the same as at it
+test('far from the origin the floor is still under the car and the city streams around it', () => {
+    const { sim, input, run } = setup();
+    const loaded = new Set();
+    const chunks = createChunkManager({
+        size: 200, radius: 1, seed: 1,
+        build: (cx, cz) => { loaded.add(cx + ',' + cz); return cx + ',' + cz; },
+        dispose: (key) => loaded.delete(key)
+    });
+    chunks.update(0, 0);
+    assert.ok(loaded.has('0,0'));
+
+    sim.session.start('race');
+    sim.player.place(10000, 2, -10000, 0);
+    run(1);
+    input.keyDown('w');
+    run(2);
+
+    const { position } = sim.player.body;
+    assert.ok(position.y > 0, 'still on the ground, y = ' + position.y);
+    assert.ok(Math.abs(sim.floor.position.x - position.x) < 10);
+    assert.ok(Math.abs(sim.floor.position.z - position.z) < 10);
+
+    chunks.update(position.x, position.z);
+    assert.ok(!loaded.has('0,0'), 'origin tile unloaded');
+    assert.ok(loaded.has('50,' + chunks.toChunk(position.z)), 'tile under the car loaded');
+    assert.equal(loaded.size, 9);
+});
@@ -0,0 +1,41 @@
+// Reading saved data back (src/storage.js) and the stores built on it. Run with `node --test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadRecord } from '../src/storage.js';
+import { createBestLaps } from '../src/race.js';
+import { createGhostStore } from '../src/replay.js';
+
+function memoryStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+test('anything but a saved object loads as an empty one', () => {
+    ['42', '"text"', 'true', 'null', '[1, 2]', '{broken'].forEach(saved => {
+        assert.deepEqual(loadRecord(memoryStorage({ key: saved }), 'key'), {}, saved);
+    });
+    assert.deepEqual(loadRecord(memoryStorage(), 'key'), {});
+    assert.deepEqual(loadRecord(memoryStorage({ key: '{"a":1}' }), 'key'), { a: 1 });
+});
+
+test('best laps recover from a saved primitive, at the top level or per track', () => {
+    const lap = { time: 61.5, splits: [20, 41] };
+    const laps = createBestLaps(memoryStorage({ gtaBestLaps: '"oops"' }));
+    assert.equal(laps.submit('city', 'f1', lap), true);
+    assert.deepEqual(laps.get('city', 'f1'), lap);
+
+    const storage = memoryStorage({ gtaBestLaps: '{"city": 5}' });
+    assert.equal(createBestLaps(storage).submit('city', 'f1', lap), true);
+    assert.deepEqual(JSON.parse(storage.getItem('gtaBestLaps')), { city: { f1: lap } });
+});
+
+test('the ghost store saves over a saved primitive', () => {
+    const storage = memoryStorage({ gtaGhosts: '7' });
+    const ghosts = createGhostStore(storage);
+    assert.equal(ghosts.submit({ key: 'a', result: { score: 10 } }), true);
+    assert.equal(JSON.parse(storage.getItem('gtaGhosts')).a.result.score, 10);
+});
@@ -0,0 +1,46 @@
+// Validating vehicle definitions (src/vehicles.js). Run with `node --test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { validateVehicleDefinition, parseVehicleDefinitions } from '../src/vehicles.js';
+
+const vehicles = JSON.parse(readFileSync(new URL('../data/vehicles.json', import.meta.url), 'utf8'));
+
+// A copy of the F1 with one change made to its model
+function f1With(change) {
+    const def = structuredClone(vehicles.find(d => d.id === 'f1'));
+    change(def.model);
+    return def;
+}
+
+function assertInvalid(def, message) {
+    const errors = validateVehicleDefinition(def);
+    assert.ok(errors.some(error => error.includes(message)), 'expected "' + message + '" in ' + JSON.stringify(errors));
+    assert.throws(() => parseVehicleDefinitions([def]), /Invalid vehicle definitions/);
+}
+
+test('the bundled vehicles are valid', () => {
+    vehicles.forEach(def => assert.deepEqual(validateVehicleDefinition(def), []));
+});
+
+test('a null part is reported, not thrown', () => {
+    assertInvalid(f1With(model => { model.parts.push(null); }), 'must be an object');
+});
+
+test('a null wheel is reported, not thrown', () => {
+    assertInvalid(f1With(model => { model.wheels.positions[1] = null; }), 'needs numeric x and z');
+});
+
+test('lamps must be an array', () => {
+    assertInvalid(f1With(model => { model.lights.lamps = { size: [1, 1, 1], position: [0, 0, 0], color: '#ff0000' }; }), 'lamps must be an array');
+});
+
+test('every part needs a name', () => {
+    assertInvalid(f1With(model => { delete model.parts[0].name; }), '.name must be a unique non-empty string');
+    assertInvalid(f1With(model => { model.parts[0].name = ''; }), '.name must be a unique non-empty string');
+});
+
+test('part names must be unique', () => {
+    assertInvalid(f1With(model => { model.parts[1].name = model.parts[0].name; }), 'parts[1].name must be a unique');
+});